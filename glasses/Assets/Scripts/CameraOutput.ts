@@ -1,10 +1,15 @@
+import { UploadQueue } from "./UploadQueue";
+
 @component
 export class CameraOutput extends BaseScriptComponent {
     // Constants
     private static readonly API_ENDPOINT = "http://localhost:3000/media";
-    private static readonly OPENAI_API_ENDPOINT = "https://api.openai.com/v1/chat/completions";
-    private static readonly OPENAI_MODEL = "gpt-4o-mini";
     private static readonly MIN_CAPTURE_INTERVAL = 1.0;
+    private static readonly MAX_QUEUED_IMAGES = 100;
+    private static readonly RETRY_INTERVAL = 30.0; // seconds
+    private static readonly KEYWORDS_POLL_INTERVAL = 2.0; // seconds
+    private static readonly KEYWORDS_MAX_POLLS = 10;
+    private static readonly KEYWORDS_MAX_AWAITED = 3;
     
     // Component inputs
     @input
@@ -20,21 +25,38 @@ export class CameraOutput extends BaseScriptComponent {
     @hint("Time interval between captures in seconds")
     captureInterval: number = 5.0;
 
-    // OpenAI API Key
-    private apiKey: string = "FIXME";
+    @input
+    @hint("Device token from the web-server's POST /pair (pairing code is shown on the server console)")
+    @label("Server Token")
+    serverToken: string = "";
 
-    // Modules
-    private remoteServiceModule: InternetModule;
+    // Frames the server couldn't take yet
+    private uploadQueue: UploadQueue;
+    // Asks the server for keywords it is still looking for
+    private keywordsEvent: DelayedCallbackEvent;
 
     // State
     private isProcessing: boolean = false;
     private lastCaptureTime: number = 0;
+    // Uploaded frames without keywords yet, oldest first
+    private awaitedKeywords: { id: string; frame: number; polls: number }[] = [];
+    private frameCount: number = 0;
+    private shownKeywordsFrame: number = 0;
 
     /**
      * Component initialization
      */
     onAwake() {
-        this.remoteServiceModule = require("LensStudio:InternetModule");
+        this.uploadQueue = new UploadQueue(
+            this,
+            CameraOutput.API_ENDPOINT,
+            this.serverToken,
+            "image",
+            CameraOutput.MAX_QUEUED_IMAGES,
+            CameraOutput.RETRY_INTERVAL
+        );
+        this.keywordsEvent = this.createEvent("DelayedCallbackEvent");
+        this.keywordsEvent.bind(() => this.pollKeywords());
         this.setupEventHandlers();
     }
 
@@ -99,12 +121,7 @@ export class CameraOutput extends BaseScriptComponent {
             }
 
             const base64Image = await this.encodeTextureToBase64(texture);
-
-            // Process in parallel
-            await Promise.all([
-                this.sendToLocalServer(base64Image),
-                this.sendToOpenAI(base64Image)
-            ]);
+            await this.sendToLocalServer(base64Image);
         } catch (error) {
             print("ERROR: " + error);
         } finally {
@@ -128,121 +145,84 @@ export class CameraOutput extends BaseScriptComponent {
     }
 
     /**
-     * Send image to OpenAI for object detection
+     * Update the UI with detected keywords
      */
-    private async sendToOpenAI(base64Image: string) {
-        const requestPayload = {
-            model: CameraOutput.OPENAI_MODEL,
-            messages: [
-                {
-                    role: "system",
-                    content:
-                        "You are a visual object detection assistant. " +
-                        "Analyze the image and identify the most prominent objects or features. " +
-                        "Respond ONLY with a JSON object of format: {\"keywords\": [\"keyword1\", \"keyword2\", ...]}. " +
-                        "Provide a maximum of 5 keywords. Keep keywords very short (1-2 words max)."
-                },
-                {
-                    role: "user",
-                    content: [
-                        {
-                            type: "image_url",
-                            image_url: {
-                                url: `data:image/jpeg;base64,${base64Image}`
-                            }
-                        }
-                    ]
-                }
-            ]
-        };
-
-        const request = new Request(CameraOutput.OPENAI_API_ENDPOINT, {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                "Authorization": `Bearer ${this.apiKey}`
-            },
-            body: JSON.stringify(requestPayload)
-        });
-
-        try {
-            let response = await this.remoteServiceModule.fetch(request);
-            
-            if (response.status === 200) {
-                let responseData = await response.json();
-                this.processOpenAIResponse(responseData);
-            } else {
-                print("ERROR: API request failed with status " + await (response.text()));
-            }
-        } catch (error) {
-            print("ERROR in API call: " + error);
+    private updateKeywordsDisplay(keywords: string[]) {
+        if (!keywords || !Array.isArray(keywords)) {
+            print("ERROR: Invalid keywords data");
+            return;
         }
+
+        print("Keywords: " + keywords.join(", "));
+
+        // Join keywords with commas and update the text component
+        this.keywordsText.text = keywords.join(", ");
     }
 
     /**
-     * Process the response from OpenAI
+     * Show a frame's keywords unless a later frame's are shown already
      */
-    private processOpenAIResponse(responseData: any) {
-        try {
-            let contentText = responseData.choices[0].message.content;
-
-            // Extract JSON from the response
-            let jsonMatch = contentText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                let keywordsData = JSON.parse(jsonMatch[0]);
-                this.updateKeywordsDisplay(keywordsData.keywords);
-            } else {
-                print("ERROR: Could not extract JSON from response");
-                print("Raw response: " + contentText);
-            }
-        } catch (e) {
-            print("ERROR parsing OpenAI response: " + e);
+    private showKeywords(frame: number, keywords: string[]) {
+        if (frame < this.shownKeywordsFrame) {
+            return;
         }
+
+        this.shownKeywordsFrame = frame;
+        // Older frames' keywords would only be skipped
+        this.awaitedKeywords = this.awaitedKeywords.filter((upload) => upload.frame > frame);
+        this.updateKeywordsDisplay(keywords);
     }
 
     /**
-     * Update the UI with detected keywords
+     * Ask the server for the keywords of frames that had none yet
      */
-    private updateKeywordsDisplay(keywords: string[]) {
-        if (!keywords || !Array.isArray(keywords)) {
-            print("ERROR: Invalid keywords data");
-            return;
-        }
+    private async pollKeywords() {
+        for (const upload of [...this.awaitedKeywords]) {
+            // A later frame's keywords may have been shown meanwhile
+            if (!this.awaitedKeywords.includes(upload)) {
+                continue;
+            }
 
-        print("oai keywords: " + keywords.join(", "));
+            const status = await this.uploadQueue.fetchStatus(upload.id);
+            upload.polls++;
 
-        // Join keywords with commas and update the text component
-        this.keywordsText.text = keywords.join(", ");
+            if (status && status.keywords) {
+                this.showKeywords(upload.frame, status.keywords);
+            }
+
+            // Keywords are found before the description; a described or failed frame gets none
+            const finished = status && (status.keywords || status.status === "described" || status.status === "failed");
+            if (finished || upload.polls >= CameraOutput.KEYWORDS_MAX_POLLS) {
+                this.awaitedKeywords = this.awaitedKeywords.filter((item) => item !== upload);
+            }
+        }
+
+        if (this.awaitedKeywords.length > 0) {
+            this.keywordsEvent.reset(CameraOutput.KEYWORDS_POLL_INTERVAL);
+        }
     }
 
     /**
-     * Send image to local server for processing
+     * Send image to local server for processing (queued if it can't be reached)
+     * and show the keywords the server finds in it
      */
     private async sendToLocalServer(base64Image: string) {
-        try {
-            const localServerPayload = {
-                image: base64Image,
-                mediaType: "image/jpeg"
-            };
-
-            const request = new Request(CameraOutput.API_ENDPOINT, {
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/json"
-                },
-                body: JSON.stringify(localServerPayload)
-            });
-
-            // Send without waiting for response
-            const response = await this.remoteServiceModule.fetch(request);
-            
-            if (response.status === 200) {
-                print("Successfully sent image to local server");
-            } else {
-                print("WARNING: Failed to send image to local server, status: " + (await response.text()));
-            }
-        } catch (error) {
-            print("WARNING: Error sending image to local server: " + error);
+        const frame = ++this.frameCount;
+
+        // The server detects the image type from the data
+        const result = await this.uploadQueue.send(UploadQueue.createCapture({ image: base64Image }));
+        if (!result) {
+            return;
+        }
+
+        // Duplicate frames come with the earlier capture's keywords; a new
+        // image's are found in the background, so ask for them shortly
+        if (result.keywords) {
+            this.showKeywords(frame, result.keywords);
+        } else if (result.status === "pending") {
+            this.awaitedKeywords.push({ id: result.id, frame, polls: 0 });
+            this.awaitedKeywords.splice(0, Math.max(0, this.awaitedKeywords.length - CameraOutput.KEYWORDS_MAX_AWAITED));
+            this.keywordsEvent.reset(CameraOutput.KEYWORDS_POLL_INTERVAL);
         }
     }
 }
\ No newline at end of file
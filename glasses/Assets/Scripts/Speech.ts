@@ -1,9 +1,13 @@
+import { UploadQueue } from "./UploadQueue";
+
 @component
 export class Speech extends BaseScriptComponent {
   // Constants
   private static readonly API_ENDPOINT = "http://localhost:3000/media";
   private static readonly MIN_TRANSCRIPT_LENGTH = 5;
   private static readonly SILENCE_DURATION_MS = 2000; // 2 seconds
+  private static readonly MAX_QUEUED_TRANSCRIPTS = 500;
+  private static readonly RETRY_INTERVAL = 30.0; // seconds
 
   // Component inputs
   @input
@@ -11,14 +15,29 @@ export class Speech extends BaseScriptComponent {
   @label("Transcription Text")
   transcriptionText: Text;
 
+  @input
+  @hint("Device token from the web-server's POST /pair (pairing code is shown on the server console)")
+  @label("Server Token")
+  serverToken: string = "";
+
   // Modules
   private asrModule = require('LensStudio:AsrModule');
-  private remoteServiceModule = require("LensStudio:InternetModule");
+
+  // Transcripts the server couldn't take yet
+  private uploadQueue: UploadQueue;
 
   /**
    * Component initialization
    */
   onAwake(): void {
+    this.uploadQueue = new UploadQueue(
+      this,
+      Speech.API_ENDPOINT,
+      this.serverToken,
+      "transcript",
+      Speech.MAX_QUEUED_TRANSCRIPTS,
+      Speech.RETRY_INTERVAL
+    );
     this.initializeTranscription();
   }
 
@@ -126,37 +145,12 @@ export class Speech extends BaseScriptComponent {
   }
 
   /**
-   * Send transcription to local server
+   * Send transcription to local server (queued if it can't be reached)
    */
   private sendTranscriptionToLocalServer(transcript: string) {
-    try {
-      const payload = {
-        transcript: transcript
-      };
-
-      const request = new Request(Speech.API_ENDPOINT, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify(payload)
-      });
-
-      // Send request
-      this.remoteServiceModule.fetch(request)
-        .then(response => {
-          if (response.status === 200) {
-            print("Successfully sent transcript to local server");
-          } else {
-            print("WARNING: Failed to send transcript to local server, status: " + response.status);
-          }
-        })
-        .catch(error => {
-          print("WARNING: Error sending transcript to local server: " + error);
-        });
-    } catch (error) {
-      print("WARNING: Error preparing transcript request: " + error);
-    }
+    this.uploadQueue.send(UploadQueue.createCapture({ transcript: transcript })).catch((error) => {
+      print(`WARNING: Error sending transcription to local server: ${error}`);
+    });
   }
 
   /**
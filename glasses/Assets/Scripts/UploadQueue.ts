@@ -0,0 +1,235 @@
+/**
+ * A capture as the web-server's POST /media and POST /media/batch accept it
+ */
+export interface Capture {
+  // Identifies the capture across retries, so the server stores it only once
+  idempotencyKey: string;
+  // When the capture was taken (ISO 8601), not when it reached the server
+  capturedAt: string;
+  transcript?: string;
+  // Base64 image data
+  image?: string;
+}
+
+/**
+ * Uploads captures to the web-server and keeps the ones that couldn't be
+ * delivered (server unreachable or failing) in memory. Kept captures are sent
+ * to POST /media/batch once an upload succeeds again, and periodically.
+ */
+export class UploadQueue {
+  // Captures sent per batch request
+  private static readonly BATCH_SIZE = 10;
+
+  // Modules
+  private remoteServiceModule: InternetModule = require("LensStudio:InternetModule");
+
+  // State
+  private items: Capture[] = [];
+  private isFlushing: boolean = false;
+
+  /**
+   * @param script - component that owns the queue (schedules periodic flushes)
+   * @param endpoint - the web-server's /media URL
+   * @param serverToken - device token from POST /pair
+   * @param label - what the captures are, for log messages
+   * @param maxItems - the oldest captures are dropped beyond this
+   * @param flushInterval - seconds between flush attempts
+   */
+  constructor(
+    script: BaseScriptComponent,
+    private endpoint: string,
+    private serverToken: string,
+    private label: string,
+    private maxItems: number,
+    flushInterval: number
+  ) {
+    const flushEvent = script.createEvent("DelayedCallbackEvent");
+    flushEvent.bind(() => {
+      this.flushInBackground();
+      flushEvent.reset(flushInterval);
+    });
+    flushEvent.reset(flushInterval);
+  }
+
+  /**
+   * Stamp a new capture with the current time and a fresh idempotency key
+   */
+  static createCapture(content: { transcript?: string; image?: string }): Capture {
+    return {
+      idempotencyKey: `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`,
+      capturedAt: new Date().toISOString(),
+      ...content
+    };
+  }
+
+  /**
+   * Upload a capture right away; queue it if the server can't take it now
+   * @returns the server's result (e.g. an image's keywords), or null if the
+   * capture wasn't delivered or the result couldn't be read
+   */
+  async send(capture: Capture): Promise<any> {
+    let response: Response;
+    try {
+      response = await this.remoteServiceModule.fetch(this.createRequest(this.endpoint, capture));
+    } catch (error) {
+      print(`WARNING: Error sending ${this.label} to local server, queued for retry: ${error}`);
+      this.add(capture);
+      return null;
+    }
+
+    // 202: the server stored the image and describes it in the background
+    if (response.status === 200 || response.status === 202) {
+      print(`Successfully sent ${this.label} to local server`);
+      // The server is reachable again
+      this.flushInBackground();
+      try {
+        return await response.json();
+      } catch (error) {
+        // Delivered all the same, so it isn't queued again
+        print(`WARNING: Unreadable response from local server for ${this.label}: ${error}`);
+        return null;
+      }
+    } else if (response.status === 401) {
+      print("WARNING: Local server rejected the device token; pair again and update Server Token");
+    } else if (response.status === 409 || response.status >= 500) {
+      print(`WARNING: Local server couldn't store ${this.label} (status ${response.status}), queued for retry`);
+      this.add(capture);
+    } else {
+      print(`WARNING: Failed to send ${this.label} to local server, status: ${response.status}`);
+    }
+    return null;
+  }
+
+  /**
+   * Fetch a delivered capture's status, e.g. the keywords the server has
+   * found in an image since
+   * @returns the status, or null if the server couldn't tell
+   */
+  async fetchStatus(id: string): Promise<any> {
+    try {
+      const response = await this.remoteServiceModule.fetch(
+        new Request(`${this.endpoint}/${encodeURIComponent(id)}`, {
+          method: "GET",
+          headers: { "Authorization": `Bearer ${this.serverToken}` }
+        })
+      );
+      return response.status === 200 ? await response.json() : null;
+    } catch (error) {
+      print(`WARNING: Error fetching ${this.label} ${id} from local server: ${error}`);
+      return null;
+    }
+  }
+
+  /**
+   * Send queued captures in batches, oldest first, until the queue is empty
+   * or a batch fails
+   */
+  async flush(): Promise<void> {
+    if (this.isFlushing || this.items.length === 0) {
+      return;
+    }
+
+    try {
+      this.isFlushing = true;
+
+      while (this.items.length > 0) {
+        const delivered = await this.sendBatch(this.items.slice(0, UploadQueue.BATCH_SIZE));
+        if (!delivered) {
+          break;
+        }
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  /**
+   * Flush without waiting for it; failures are logged
+   */
+  private flushInBackground() {
+    this.flush().catch((error) => {
+      print(`WARNING: Error flushing queued ${this.label}s: ${error}`);
+    });
+  }
+
+  /**
+   * Keep a capture for the next flush
+   */
+  private add(capture: Capture) {
+    this.items.push(capture);
+
+    if (this.items.length > this.maxItems) {
+      const dropped = this.items.splice(0, this.items.length - this.maxItems);
+      print(`WARNING: Upload queue full, dropped ${dropped.length} ${this.label}(s)`);
+    }
+  }
+
+  /**
+   * Send one batch and remove the captures the server accepted or rejected
+   * @returns whether every capture of the batch is done
+   */
+  private async sendBatch(batch: Capture[]): Promise<boolean> {
+    let response: Response;
+    try {
+      response = await this.remoteServiceModule.fetch(
+        this.createRequest(`${this.endpoint}/batch`, { items: batch })
+      );
+    } catch (error) {
+      print(`WARNING: Error sending queued ${this.label}s to local server: ${error}`);
+      return false;
+    }
+
+    if (response.status === 400 || response.status === 413) {
+      // Retrying the same batch would fail the same way
+      print(`WARNING: Local server refused ${batch.length} queued ${this.label}(s), status: ${response.status}`);
+      this.remove(batch);
+      return true;
+    }
+
+    if (response.status !== 200) {
+      print(`WARNING: Failed to send queued ${this.label}s to local server, status: ${response.status}`);
+      return false;
+    }
+
+    let results: any[];
+    try {
+      ({ results } = await response.json());
+      if (!Array.isArray(results)) {
+        throw new Error("results is not an array");
+      }
+    } catch (error) {
+      // Resent later as is; the idempotency keys keep it from being stored twice
+      print(`WARNING: Unreadable response from local server for queued ${this.label}s: ${error}`);
+      return false;
+    }
+
+    // "failed" captures may work later; everything else is stored or can never be
+    const retry = new Set<string>();
+    for (const result of results) {
+      if (result.status === "failed") {
+        retry.add(result.idempotencyKey);
+      } else if (result.status === "rejected") {
+        print(`WARNING: Local server rejected queued ${this.label} ${result.idempotencyKey}: ${result.error}`);
+      }
+    }
+
+    this.remove(batch.filter((capture) => !retry.has(capture.idempotencyKey)));
+    print(`Sent ${batch.length - retry.size} queued ${this.label}(s) to local server, ${this.items.length} left`);
+    return retry.size === 0;
+  }
+
+  private remove(captures: Capture[]) {
+    this.items = this.items.filter((item) => !captures.includes(item));
+  }
+
+  private createRequest(url: string, payload: object): Request {
+    return new Request(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Authorization": `Bearer ${this.serverToken}`
+      },
+      body: JSON.stringify(payload)
+    });
+  }
+}
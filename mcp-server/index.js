@@ -1,41 +1,123 @@
 // mcp-stdio.js - Model Context Protocol server with stdio transport
-import { readFile, readdir, appendFile } from 'node:fs/promises';
-import { existsSync, mkdirSync } from 'node:fs';
+// (or Streamable HTTP with an SSE fallback: `node index.js --http` / MCP_TRANSPORT=http)
+import { readFile, appendFile, stat } from 'node:fs/promises';
+import { existsSync, mkdirSync, watch } from 'node:fs';
 import path from 'node:path';
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { createServer } from 'node:http';
+import { createHash, randomUUID, timingSafeEqual } from 'node:crypto';
+import { parseArgs } from 'node:util';
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { SubscribeRequestSchema, UnsubscribeRequestSchema, isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { CaptureStore, isCaptureId } from "../shared/captures.js";
+import { Redactor, loadRedactionConfig } from "../shared/redaction.js";
+import { createProvider, llmTaskConfig } from "../shared/llm.js";
+import { DigestStore } from "../shared/digests.js";
+import { ConversationStore, isConversationId } from "../shared/conversations.js";
+import { ACTION_ITEM_STATUSES, ActionItemStore, isActionItemId } from "../shared/actions.js";
+import { speakerName } from "../shared/speakers.js";
 import { z } from "zod";
 
 // ============================================================================
 // Configuration
 // ============================================================================
 
+const { values: ARGS } = parseArgs({
+  options: {
+    http: { type: 'boolean', default: false },
+    host: { type: 'string' },
+    port: { type: 'string' }
+  }
+});
+
 const CONFIG = {
-  // API configuration
-  api: {
-    anthropic: {
-      key: process.env.ANTHROPIC_API_KEY,
-      model: process.env.ANTHROPIC_MODEL ?? 'claude-3-7-sonnet-20250219',
-      baseUrl: 'https://api.anthropic.com/v1/messages',
-      apiVersion: '2023-06-01'
-    }
+  // Transport: stdio for a local desktop client, http to share one server
+  transport: {
+    mode: ARGS.http ? 'http' : (process.env.MCP_TRANSPORT ?? 'stdio'),
+    host: ARGS.host ?? process.env.MCP_HOST ?? '127.0.0.1',
+    port: Number(ARGS.port ?? process.env.MCP_PORT ?? 3001),
+    // Bearer token HTTP clients must send; required unless bound to loopback
+    token: process.env.MCP_HTTP_TOKEN,
+    // Larger JSON-RPC request bodies are refused (413)
+    maxBodyBytes: 1024 * 1024,
+    // Browser origins allowed besides loopback ones, e.g. "https://inspector.example"
+    allowedOrigins: (process.env.MCP_ALLOWED_ORIGINS ?? '').split(',').map(origin => origin.trim()).filter(Boolean),
+    // HTTP sessions without any request for this long are closed
+    sessionIdleMs: Number(process.env.MCP_SESSION_IDLE_MINUTES ?? 30) * 60 * 1000
+  },
+  // Model used for each task (see ../shared/llm.js)
+  llm: {
+    // Low temperature for more deterministic answers
+    answer: llmTaskConfig('answer', { maxTokens: 1024, temperature: 0.1 })
+  },
+  // The web-server owns the capture files; deletions go through its HTTP API
+  webServer: {
+    url: process.env.WEB_SERVER_URL ?? 'http://localhost:3000',
+    // A device token from the web-server's POST /pair
+    token: process.env.WEB_SERVER_TOKEN
   },
   // Content limits
   limits: {
-    maxTokens: 1024
+    // Budget for the retrieved context sent with each question (estimated tokens)
+    contextTokens: Number(process.env.CONTEXT_TOKEN_BUDGET ?? 8000),
+    // Longer transcripts/descriptions are cut down to a snippet of this size
+    snippetTokens: Number(process.env.SNIPPET_TOKEN_BUDGET ?? 600),
+    // Part of the context budget given to digests for questions about long ranges
+    digestTokens: Number(process.env.DIGEST_TOKEN_BUDGET ?? 2000),
+    // Images attached to a context_query answer, most relevant first
+    answerImages: Number(process.env.ANSWER_IMAGE_LIMIT ?? 3)
+  },
+  // Ranges at least this long also get hour or day digests as context
+  digests: {
+    hourMinSpanMs: 6 * 60 * 60 * 1000,
+    dayMinSpanMs: 2 * 24 * 60 * 60 * 1000
+  },
+  // Follow-up questions to context_query (session_id)
+  sessions: {
+    // Sessions unused for this long are forgotten
+    ttlMs: Number(process.env.QUERY_SESSION_TTL_MINUTES ?? 30) * 60 * 1000,
+    // Earlier questions and answers sent along with a follow-up
+    maxTurns: 6,
+    maxSessions: 100,
+    // Captures after the last cited one added to a follow-up's context
+    followingCaptures: 3
+  },
+  watcher: {
+    // Several fs events fire per write; coalesce store reloads and notifications
+    debounceMs: 250
+  },
+  // BM25 ranking parameters
+  search: {
+    k1: 1.2,
+    b: 0.75
   },
   // Directories
   paths: {
     base: path.dirname(new URL(import.meta.url).pathname),
     get webServer() { return path.join(this.base, '..', 'web-server'); },
-    get transcripts() { return path.join(this.webServer, 'transcripts'); },
-    get images() { return path.join(this.webServer, 'images'); },
+    get captures() { return path.join(this.webServer, 'captures.jsonl'); },
+    get digests() { return path.join(this.webServer, 'digests'); },
+    get conversations() { return path.join(this.webServer, 'conversations.json'); },
+    get actions() { return path.join(this.webServer, 'actions.json'); },
+    // Same rules the web-server applies (see ../shared/redaction.js)
+    redactionConfig: process.env.REDACTION_CONFIG,
     get logs() { return path.join(this.base, 'logs'); },
     get logFile() { return path.join(this.logs, 'mcp-stdio.log'); },
     get errorLogFile() { return path.join(this.logs, 'mcp-stdio-error.log'); }
   }
 };
 
+// Capture records written by the web-server (see ../shared/captures.js)
+const captureStore = new CaptureStore(CONFIG.paths.captures);
+// Summaries written by the web-server's digest job (see ../shared/digests.js)
+const digestStore = new DigestStore(CONFIG.paths.digests);
+// Transcripts grouped by the web-server (see ../shared/conversations.js)
+const conversationStore = new ConversationStore(CONFIG.paths.conversations);
+// Action items found by the web-server (see ../shared/actions.js)
+const actionItemStore = new ActionItemStore(CONFIG.paths.actions);
+
 // ============================================================================
 // Logging Services
 // ============================================================================
@@ -71,348 +153,2255 @@ class Logger {
   }
 }
 
+// ============================================================================
+// Time Range Parsing
+// ============================================================================
+
+class TimeRange {
+  static UNITS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000
+  };
+
+  // Parts of the day used by "this morning", "this afternoon", ... (local hours)
+  static DAY_PARTS = {
+    morning: [5, 12],
+    afternoon: [12, 18],
+    evening: [18, 24]
+  };
+
+  constructor(start = null, end = null) {
+    this.start = start;
+    this.end = end;
+  }
+
+  /**
+   * Builds a range from the optional `from`/`to` tool arguments.
+   * `from` uses the start of the period it names and `to` its end, so
+   * from="yesterday", to="yesterday" covers the whole of yesterday.
+   */
+  static fromParams({ from, to } = {}) {
+    const now = new Date();
+    const start = from ? this.resolve(from, now).start : null;
+    const end = to ? this.resolve(to, now).end : null;
+
+    if (start && end && start > end) {
+      throw new Error(`Invalid time range: 'from' (${from}) is after 'to' (${to})`);
+    }
+
+    return new TimeRange(start, end);
+  }
+
+  /**
+   * Like fromParams(), but also accepts a `date` naming a whole day instead
+   * of `from`/`to`.
+   */
+  static fromDateOrRange({ date, from, to } = {}) {
+    if (date && (from || to)) {
+      throw new Error("Use either 'date' or 'from'/'to', not both");
+    }
+
+    return date ? this.fromParams({ from: date, to: date }) : this.fromParams({ from, to });
+  }
+
+  /**
+   * Resolves an ISO date/datetime or a relative expression to the period it names.
+   */
+  static resolve(expression, now = new Date()) {
+    const text = expression.trim().toLowerCase();
+    let match;
+
+    if (text === 'now') {
+      return { start: now, end: now };
+    }
+
+    if (text === 'today') {
+      return this.dayOf(now);
+    }
+
+    if (text === 'yesterday') {
+      const day = this.startOfDay(now);
+      day.setDate(day.getDate() - 1);
+      return this.dayOf(day);
+    }
+
+    if ((match = text.match(/^this (morning|afternoon|evening)$/))) {
+      const [fromHour, toHour] = this.DAY_PARTS[match[1]];
+      const start = this.startOfDay(now);
+      const end = this.startOfDay(now);
+      start.setHours(fromHour);
+      end.setHours(toHour);
+      return { start, end: new Date(end.getTime() - 1) };
+    }
+
+    if (text === 'this week') {
+      // Weeks start on Monday
+      const start = this.startOfDay(now);
+      start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+      return { start, end: now };
+    }
+
+    // "last 2 hours", "past 30 minutes", "last day"
+    if ((match = text.match(/^(?:last|past)\s+(?:(\d+)\s+)?(minute|hour|day|week)s?$/))) {
+      const amount = Number(match[1] ?? 1);
+      return { start: new Date(now.getTime() - amount * this.UNITS[match[2]]), end: now };
+    }
+
+    // "3 hours ago"
+    if ((match = text.match(/^(\d+)\s+(minute|hour|day|week)s?\s+ago$/))) {
+      const instant = new Date(now.getTime() - Number(match[1]) * this.UNITS[match[2]]);
+      return { start: instant, end: instant };
+    }
+
+    // Date only (YYYY-MM-DD) is a whole local day; Date.parse would treat it as UTC midnight
+    if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+      return this.dayOf(new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    }
+
+    const parsed = Date.parse(expression);
+    if (!Number.isNaN(parsed)) {
+      const instant = new Date(parsed);
+      return { start: instant, end: instant };
+    }
+
+    throw new Error(`Unrecognized date or time expression: '${expression}'`);
+  }
+
+  static startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+  }
+
+  static dayOf(date) {
+    const start = this.startOfDay(date);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    return { start, end: new Date(end.getTime() - 1) };
+  }
+
+  /**
+   * Formats a date in local time for prompts, e.g. 2025-05-17 02:40:24
+   */
+  static formatLocal(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+
+  get isBounded() {
+    return this.start !== null || this.end !== null;
+  }
+
+  contains(date) {
+    if (this.start && date < this.start) return false;
+    if (this.end && date > this.end) return false;
+    return true;
+  }
+
+  describe() {
+    const format = (date) => date ? date.toLocaleString() : 'any time';
+    return `${format(this.start)} to ${format(this.end)}`;
+  }
+}
+
 // ============================================================================
 // File System Services
 // ============================================================================
 
 class FileService {
-  static async readTextFilesFromDir(dir) {
+  // Set by loadRedactor(); null until then
+  static redactor = null;
+
+  static async loadRedactor() {
+    const file = CONFIG.paths.redactionConfig ?? path.join(CONFIG.paths.webServer, 'redaction.json');
+    this.redactor = new Redactor(await loadRedactionConfig(file));
+  }
+
+  /**
+   * Lists capture records in the range, oldest first.
+   * @param {TimeRange} range
+   * @param {'transcript'|'image'|'all'} type
+   */
+  static listRecordings(range = new TimeRange(), type = 'all') {
+    return captureStore.list({
+      type: type === 'all' ? undefined : type,
+      from: range.start,
+      to: range.end
+    });
+  }
+
+  /**
+   * Returns the capture record if it exists and has the expected type.
+   */
+  static getRecord(id, type) {
+    const record = captureStore.get(id);
+    return record?.type === type ? record : null;
+  }
+
+  /**
+   * Reads a record's text (transcript or image description), or null if it has none yet.
+   * With the prompt redaction stage enabled, personal data is replaced here,
+   * before the text reaches the index, a prompt, a tool result or a log.
+   */
+  static async readText(record) {
+    if (!record.files.text) return null;
+
     try {
-      const files = await readdir(dir);
-      const textFiles = files.filter(file => file.endsWith('.txt'));
-  
-      // Sort files by timestamp (which is the filename without extension)
-      // This ensures consistent ordering based on when the files were created
-      textFiles.sort((a, b) => {
-        const timestampA = a.replace('.txt', '');
-        const timestampB = b.replace('.txt', '');
-        return timestampA.localeCompare(timestampB);
-      });
-  
-      const fileContents = await Promise.all(
-        textFiles.map(async (filename) => {
-          const filepath = path.join(dir, filename);
-          const content = await readFile(filepath, 'utf8');
-          return { filename, content };
-        })
-      );
-  
-      return fileContents;
+      const text = await readFile(captureStore.resolve(record.files.text), 'utf8');
+      return this.redactor?.isEnabled('prompt') ? this.redactor.redact(text).text : text;
     } catch (err) {
-      await Logger.logError(`Error reading from ${dir}: ${err.message}`);
-      return [];
+      if (err.code === 'ENOENT') return null;
+      throw err;
     }
   }
 
-  static async getCorrespondingImage(textFilename) {
+  /**
+   * Reads a transcript's speaker segments, or null if it has none. What was
+   * said gets the prompt redaction stage like any other text.
+   * @returns {Promise<{ speaker: string, start: number, end: number, text: string }[] | null>}
+   */
+  static async readSegments(record) {
+    if (!record.files.segments) return null;
+
     try {
-      // Extract the timestamp base name
-      const baseName = path.basename(textFilename, '.txt');
-  
-      // Get all files in the images directory
-      const files = await readdir(CONFIG.paths.images);
-  
-      // Find image files with the same base name
-      const imageFile = files.find(file => {
-        // Match files with same basename but not .txt extension
-        return file.startsWith(baseName) && !file.endsWith('.txt');
-      });
-  
-      if (!imageFile) return null;
-  
-      const filepath = path.join(CONFIG.paths.images, imageFile);
-      const imageBuffer = await readFile(filepath);
-      const base64 = imageBuffer.toString('base64');
-  
-      // Determine media type from extension
-      const ext = path.extname(imageFile).toLowerCase().substring(1);
-      const mediaType = ext === 'jpg' || ext === 'jpeg'
-        ? 'image/jpeg'
-        : ext === 'png'
-          ? 'image/png'
-          : `image/${ext}`;
-  
-      return { filepath, base64, mediaType };
+      const { segments } = JSON.parse(await readFile(captureStore.resolve(record.files.segments), 'utf8'));
+      if (!this.redactor?.isEnabled('prompt')) return segments;
+      return segments.map(segment => ({ ...segment, text: this.redactor.redact(segment.text).text }));
     } catch (err) {
-      await Logger.logError(`Error getting corresponding image: ${err.message}`);
-      return null;
+      if (err.code === 'ENOENT') return null;
+      throw err;
     }
   }
-}
 
-// ============================================================================
-// AI Services
-// ============================================================================
+  /**
+   * Reads a transcript with one line per speaker segment ("Alex: …"), or its
+   * plain text if it has no segments.
+   * @param {object} record
+   * @param {Object<string, string>} [names] – its conversation's speaker names
+   */
+  static async readTranscript(record, names) {
+    const segments = await this.readSegments(record);
+    if (!segments) return this.readText(record);
 
-class AnthropicService {
-  static async askWithContext(question, context) {
-    if (!CONFIG.api.anthropic.key) {
-      throw new Error('Anthropic API key missing (set ANTHROPIC_API_KEY)');
-    }
+    return segments.map(segment => `${speakerName(names, segment.speaker)}: ${segment.text}`).join('\n');
+  }
 
-    const promptText = this.constructPrompt(question, context);
-    
-    // Log the message that will be sent to Claude
-    await Logger.logSection("PROMPT SENT TO CLAUDE", promptText);
+  /**
+   * Speaker names of every transcript, from the conversation it belongs to.
+   * @returns {Promise<Map<string, Object<string, string>>>} – by capture ID
+   */
+  static async speakerNamesByTranscript() {
+    const byTranscript = new Map();
+    for (const conversation of await this.listConversations()) {
+      for (const id of conversation.transcriptIds) {
+        byTranscript.set(id, conversation.speakers ?? {});
+      }
+    }
+    return byTranscript;
+  }
 
-    const requestBody = this.createRequestBody(promptText);
-    const response = await this.callAnthropicAPI(requestBody);
-    
-    return this.processResponse(response);
+  /**
+   * A transcript's speakers: their labels and the names they were given.
+   * @returns {{ label: string, name: string }[]}
+   */
+  static transcriptSpeakers(record, names) {
+    return (record.speakers ?? []).map(label => ({ label, name: speakerName(names, label) }));
   }
 
-  static constructPrompt(question, context) {
-    return `<context>
-${context}
-</context>
+  /**
+   * Whether someone matching `speaker` talks in a transcript: a part of a
+   * name given to them (e.g. "alex") or their exact label (e.g. "speaker 2").
+   * @param {{ label: string, name: string }[]} speakers – see transcriptSpeakers()
+   */
+  static spokeIn(speakers, speaker) {
+    const wanted = speaker.trim().toLowerCase();
+    return speakers.some(({ label, name }) => label.toLowerCase() === wanted || name.toLowerCase().includes(wanted));
+  }
 
-<instructions>
-You are an AI assistant specialized in analyzing and retrieving information from timestamped transcripts and image descriptions.
+  /**
+   * Lists the digests of a period that overlap the range, oldest first,
+   * with the prompt redaction stage applied like to any other text.
+   * @param {'hour'|'day'} period
+   * @param {TimeRange} range
+   */
+  static async listDigests(period, range = new TimeRange()) {
+    const digests = await digestStore.list(period, { from: range.start, to: range.end });
+    if (!this.redactor?.isEnabled('prompt')) return digests;
 
-Based on the information provided in the <context> tag, please answer the question below. Follow these guidelines:
+    const redact = (text) => this.redactor.redact(text).text;
+    return digests.map(digest => ({
+      ...digest,
+      summary: redact(digest.summary),
+      topics: digest.topics.map(redact),
+      people: digest.people.map(redact),
+      notableImages: digest.notableImages.map(image => ({ ...image, reason: redact(image.reason) }))
+    }));
+  }
 
-1. Always provide a complete text answer to the question, explaining what you found in the context.
-2. Prioritize more recent information (files with more recent timestamps) when relevant.
-3. If one image is particularly relevant to answering this question, specify its timestamp using <relevant_image>timestamp</relevant_image> tags AFTER your complete answer.
-</instructions>
+  /**
+   * Lists conversations that overlap the range, oldest first.
+   * @param {TimeRange} range
+   */
+  static async listConversations(range = new TimeRange()) {
+    const conversations = await conversationStore.list({ from: range.start, to: range.end });
+    return conversations.map(conversation => this.redactConversation(conversation));
+  }
 
-<question>
-${question}
-</question>`;
+  static async getConversation(id) {
+    const conversation = await conversationStore.get(id);
+    return conversation ? this.redactConversation(conversation) : null;
   }
 
-  static createRequestBody(promptText) {
+  // Titles are generated from transcripts and speakers are named after people, so they get the same prompt redaction
+  static redactConversation(conversation) {
+    if (!this.redactor?.isEnabled('prompt')) return conversation;
+
+    const redact = (text) => this.redactor.redact(text).text;
     return {
-      model: CONFIG.api.anthropic.model,
-      max_tokens: CONFIG.limits.maxTokens,
-      temperature: 0.1, // More deterministic responses
-      messages: [
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'text',
-              text: promptText
-            }
-          ]
-        }
-      ]
+      ...conversation,
+      title: conversation.title && redact(conversation.title),
+      speakers: Object.fromEntries(Object.entries(conversation.speakers ?? {}).map(([label, name]) => [label, redact(name)]))
     };
   }
 
-  static async callAnthropicAPI(body) {
-    const resp = await fetch(CONFIG.api.anthropic.baseUrl, {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json',
-        'x-api-key': CONFIG.api.anthropic.key,
-        'anthropic-version': CONFIG.api.anthropic.apiVersion,
-      },
-      body: JSON.stringify(body),
-    });
+  /**
+   * Lists action items said in the range, oldest first.
+   * @param {TimeRange} range
+   * @param {string} [status]
+   */
+  static async listActionItems(range = new TimeRange(), status) {
+    const items = await actionItemStore.list({ from: range.start, to: range.end, status });
+    return items.map(item => this.redactActionItem(item));
+  }
 
-    if (!resp.ok) {
-      const errText = await resp.text();
-      throw new Error(`Anthropic API error: ${resp.status} — ${errText}`);
-    }
+  // Action items are taken from transcripts, so they get the same prompt redaction
+  static redactActionItem(item) {
+    if (!this.redactor?.isEnabled('prompt')) return item;
 
-    return await resp.json();
+    const redact = (text) => (text === null ? null : this.redactor.redact(text).text);
+    return { ...item, text: redact(item.text), owner: redact(item.owner), dueText: redact(item.dueText), note: redact(item.note) };
   }
 
-  static async processResponse(data) {
-    const contentBlock = data?.content?.[0]?.text;
-
-    // Extract the relevant image timestamp if provided
-    const imageMatch = contentBlock?.match(/<relevant_image>(.*?)<\/relevant_image>/i);
-    const relevantImageTimestamp = imageMatch ? imageMatch[1].trim() : null;
+  /**
+   * Returns an image's keywords (found by the web-server while it was
+   * uploaded), with the prompt redaction stage applied; empty if it has none.
+   */
+  static readKeywords(record) {
+    const keywords = record.keywords ?? [];
+    return this.redactor?.isEnabled('prompt') ? keywords.map(keyword => this.redactor.redact(keyword).text) : keywords;
+  }
 
-    // Clean up the answer by removing the relevant_image tags if present
-    const cleanedAnswer = contentBlock?.replace(/<relevant_image>.*?<\/relevant_image>/i, '').trim() ?? 'No answer provided.';
+  /**
+   * Reads an image's analysis sidecar (see ../shared/analysis.js), or null
+   * if it has none yet, with the prompt redaction stage applied to its text.
+   */
+  static async readAnalysis(record) {
+    if (!record.files.analysis) return null;
 
-    // Log the processed response
-    const responseLog = `Text answer: ${cleanedAnswer}\nImage timestamp: ${relevantImageTimestamp || "None"}`;
-    await Logger.logSection("PROCESSED RESPONSE FROM CLAUDE", responseLog);
+    let analysis;
+    try {
+      analysis = JSON.parse(await readFile(captureStore.resolve(record.files.analysis), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    if (!this.redactor?.isEnabled('prompt')) return analysis;
 
+    const redact = (text) => this.redactor.redact(text).text;
     return {
-      answer: cleanedAnswer,
-      relevantImageTimestamp
+      ...analysis,
+      caption: redact(analysis.caption),
+      sceneType: redact(analysis.sceneType),
+      objects: analysis.objects.map(object => ({ ...object, name: redact(object.name) })),
+      text: analysis.text.map(redact)
     };
   }
+
+  static async getImage(id) {
+    try {
+      const record = this.getRecord(id, 'image');
+      if (!record) return null;
+
+      const filepath = captureStore.resolve(record.files.image);
+      const imageBuffer = await readFile(filepath);
+      const base64 = imageBuffer.toString('base64');
+
+      return { filepath, base64, mediaType: record.mediaType };
+    } catch (err) {
+      await Logger.logError(`Error getting image ${id}: ${err.message}`);
+      return null;
+    }
+  }
 }
 
 // ============================================================================
-// Context Builder
+// Recording Watcher
 // ============================================================================
 
-class ContextBuilder {
-  static async buildFullContext() {
-    // Get all text content from transcripts and images directories
-    const transcriptFiles = await FileService.readTextFilesFromDir(CONFIG.paths.transcripts);
-    const imageDescFiles = await FileService.readTextFilesFromDir(CONFIG.paths.images);
-
-    // Combine all text content with filenames as context
-    let contextParts = [];
+/**
+ * Follows the web-server's capture store and calls its listeners with a
+ * change ({ id, kind, eventType: 'added' | 'updated' | 'removed' }) per
+ * changed record.
+ */
+class RecordingWatcher {
+  // One per MCP server, i.e. per HTTP session; a plain set, as an
+  // EventEmitter would warn once more than 10 sessions are open
+  static listeners = new Set();
+  static refreshTimer = null;
 
-    this.addTranscriptsToContext(contextParts, transcriptFiles);
-    this.addImageDescriptionsToContext(contextParts, imageDescFiles);
+  static async start() {
+    await captureStore.load();
 
-    // Combine all context
-    return contextParts.join("\n");
+    // Watch the directory rather than the file so a rewritten store is still followed
+    const storeFile = path.basename(CONFIG.paths.captures);
+    watch(path.dirname(CONFIG.paths.captures), (eventType, filename) => {
+      if (filename === storeFile) this.scheduleRefresh();
+    });
   }
 
-  static addTranscriptsToContext(contextParts, transcriptFiles) {
-    if (transcriptFiles.length > 0) {
-      contextParts.push("<transcripts>");
-      transcriptFiles.forEach(({ filename, content }) => {
-        // Extract timestamp from filename
-        const timestamp = filename.replace('.txt', '');
+  static scheduleRefresh() {
+    if (this.refreshTimer) return;
 
-        contextParts.push(`<transcript timestamp="${timestamp}">`);
-        contextParts.push(`\n${content}\n`);
-        contextParts.push("</transcript>");
-      });
-      contextParts.push("</transcripts>");
-    }
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.refresh().catch(err =>
+        Logger.logError(`Error reading capture store: ${err.message}`)
+      );
+    }, CONFIG.watcher.debounceMs);
   }
 
-  static addImageDescriptionsToContext(contextParts, imageDescFiles) {
-    if (imageDescFiles.length > 0) {
-      contextParts.push("<image_descriptions>");
-
-      for (const { filename, content } of imageDescFiles) {
-        // Extract timestamp from filename
-        const timestamp = filename.replace('.txt', '');
+  static async refresh() {
+    const known = new Map([...captureStore.records].map(([id, record]) => [id, record.type]));
+    const changed = await captureStore.refresh();
 
-        contextParts.push(`<image_description timestamp="${timestamp}">`);
-        contextParts.push(`\n${content}\n`);
-        contextParts.push("</image_description>");
-      }
-      contextParts.push("</image_descriptions>");
+    for (const id of changed) {
+      const record = captureStore.get(id);
+      const eventType = !record ? 'removed' : known.has(id) ? 'updated' : 'added';
+      const change = { id, kind: record?.type ?? known.get(id), eventType };
+      for (const listener of this.listeners) listener(change);
     }
   }
+
+  static onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
 }
 
 // ============================================================================
-// Response Builder
+// Search Index
 // ============================================================================
 
-class ResponseBuilder {
-  static async buildResponse(answer, relevantImageTimestamp) {
-    let responseContent = [];
+class SearchIndex {
+  static STOPWORDS = new Set([
+    'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for',
+    'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'in', 'is', 'it', 'its',
+    'me', 'my', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their', 'them', 'then',
+    'there', 'they', 'this', 'to', 'us', 'was', 'we', 'were', 'what', 'when', 'where',
+    'which', 'who', 'why', 'with', 'you', 'your'
+  ]);
 
-    // Add image first to avoid order swapping issues in some clients
-    await this.addImageIfRelevant(responseContent, relevantImageTimestamp);
-    
-    // Then add text answer
-    responseContent.push({
-      type: "text",
-      text: answer
+  // capture id -> { id, kind, capturedAt, content, mtimeMs, keywords, speakers, termFreqs, length }
+  static documents = new Map();
+  // capture id -> speaker names of its conversation, as of the last sync()
+  static speakerNames = new Map();
+  // term -> number of documents containing it
+  static documentFrequencies = new Map();
+  static totalLength = 0;
+
+  static async initialize() {
+    await this.sync();
+
+    // Pick up captures as the web-server records them instead of rescanning per query
+    RecordingWatcher.onChange(({ id }) => {
+      const record = captureStore.get(id);
+      const update = record ? this.updateRecord(record) : Promise.resolve(this.remove(id));
+      update.catch(err => Logger.logError(`Error indexing ${id}: ${err.message}`));
     });
 
-    return { content: responseContent };
+    await Logger.logToFile(`Search index ready: ${this.documents.size} documents`);
   }
 
-  static async addImageIfRelevant(responseContent, relevantImageTimestamp) {
-    if (relevantImageTimestamp) {
-      const image = await FileService.getCorrespondingImage(`${relevantImageTimestamp}.txt`);
-      if (image) {
-        responseContent.push({
-          type: "image",
-          data: image.base64,
-          mimeType: image.mediaType,
-          alt: "Relevant image for your query"
-        });
-      }
-    }
+  static tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [])
+      .filter(term => term.length > 1 && !this.STOPWORDS.has(term));
   }
-}
 
-// ============================================================================
-// MCP Tool Implementation
-// ============================================================================
+  /**
+   * Brings the index in line with the capture store: adds new or modified
+   * texts and drops deleted ones. Unchanged files are not re-read.
+   */
+  static async sync() {
+    await RecordingWatcher.refresh();
+    this.speakerNames = await FileService.speakerNamesByTranscript();
 
-class QueryService {
-  static async answerFromContext(params) {
-    const { question } = params;
+    for (const record of captureStore.records.values()) {
+      await this.updateRecord(record);
+    }
 
-    if (!question || typeof question !== 'string') {
-      throw new Error("Missing or invalid 'question' parameter");
+    for (const id of this.documents.keys()) {
+      if (!captureStore.get(id)) this.remove(id);
     }
+  }
 
-    // Build context from files
-    const fullContext = await ContextBuilder.buildFullContext();
+  static async updateRecord(record) {
+    // Images are found by their keywords before they are described
+    const keywords = FileService.readKeywords(record).join(', ');
 
-    // Get answer from Claude API
-    const { answer, relevantImageTimestamp } = await AnthropicService.askWithContext(question, fullContext);
+    let stats = null;
+    if (record.files.text) {
+      try {
+        stats = await stat(captureStore.resolve(record.files.text));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
 
-    // Build response with text and optional image
-    return ResponseBuilder.buildResponse(answer, relevantImageTimestamp);
-  }
-}
+    if (!stats && !keywords) {
+      this.remove(record.id);
+      return;
+    }
 
-// ============================================================================
-// Server Setup
-// ============================================================================
+    // Naming a speaker changes the transcript's text in the index
+    const names = this.speakerNames.get(record.id);
+    const speakers = FileService.transcriptSpeakers(record, names);
+    const indexed = this.documents.get(record.id);
+    if (indexed && indexed.mtimeMs === stats?.mtimeMs && indexed.keywords === keywords &&
+      JSON.stringify(indexed.speakers) === JSON.stringify(speakers)) return;
 
-class MCPServer {
-  constructor() {
-    this.server = new McpServer({
-      name: "context-query",
-      version: "1.0.0",
+    const text = stats ? await FileService.readTranscript(record, names) : null;
+    this.add({
+      id: record.id,
+      kind: record.type,
+      capturedAt: record.capturedAt,
+      content: [text, keywords && `Keywords: ${keywords}`].filter(Boolean).join('\n\n'),
+      mtimeMs: stats?.mtimeMs ?? null,
+      keywords,
+      speakers
     });
   }
 
-  registerTools() {
-    this.server.tool(
-      "context_query",
-      "Retrieves information from user's recorded audio conversations and camera logs",
-      {
-        question: z.string().describe("Natural language question about the user's recorded conversations or camera footage (e.g., 'What did I discuss yesterday?', 'Show me pictures from my morning walk')")
-      },
-      async (params) => {
-        try {
-          return await QueryService.answerFromContext(params);
-        } catch (error) {
-          await Logger.logError(`Error in context_query: ${error.message}\n${error.stack}`);
-          throw error;
-        }
+  static add(document) {
+    this.remove(document.id);
+
+    const terms = this.tokenize(document.content);
+    const termFreqs = new Map();
+    for (const term of terms) {
+      termFreqs.set(term, (termFreqs.get(term) ?? 0) + 1);
+    }
+    for (const term of termFreqs.keys()) {
+      this.documentFrequencies.set(term, (this.documentFrequencies.get(term) ?? 0) + 1);
+    }
+
+    this.documents.set(document.id, { ...document, termFreqs, length: terms.length });
+    this.totalLength += terms.length;
+  }
+
+  static remove(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    for (const term of document.termFreqs.keys()) {
+      const count = this.documentFrequencies.get(term) - 1;
+      if (count > 0) {
+        this.documentFrequencies.set(term, count);
+      } else {
+        this.documentFrequencies.delete(term);
       }
-    );
+    }
+
+    this.documents.delete(id);
+    this.totalLength -= document.length;
   }
 
-  async start() {
-    try {
-      // Initialize the log file with a startup entry
-      const startupMessage = "====================================\n" +
-                            "MCP STDIO SERVER STARTING\n" +
-                            `Timestamp: ${new Date().toISOString()}\n` +
-                            "====================================";
-      await Logger.logToFile(startupMessage);
+  /**
+   * Ranks documents in the range by BM25 against the query. Documents that
+   * match no query term are kept after the matches, most recent first, so a
+   * vague question over a narrow range still sees what was recorded.
+   * @param {string} query
+   * @param {TimeRange} range
+   * @param {Set<string> | null} ids – only search these captures
+   */
+  static search(query, range = new TimeRange(), ids = null) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    const { k1, b } = CONFIG.search;
+    const documentCount = this.documents.size;
+    const averageLength = documentCount > 0 ? this.totalLength / documentCount : 0;
 
-      const transport = new StdioServerTransport();
-      await this.server.connect(transport);
-      await Logger.logToFile("MCP Server listening on stdio transport");
-      await Logger.logToFile("Ready for Claude Desktop connections");
-    } catch (error) {
-      await Logger.logError(`Error during startup: ${error.message}\n${error.stack}`);
-      process.exit(1);
+    const results = [];
+    for (const document of this.documents.values()) {
+      if (!range.contains(new Date(document.capturedAt))) continue;
+      if (ids && !ids.has(document.id)) continue;
+
+      let score = 0;
+      for (const term of queryTerms) {
+        const frequency = document.termFreqs.get(term);
+        if (!frequency) continue;
+
+        const df = this.documentFrequencies.get(term);
+        const idf = Math.log(1 + (documentCount - df + 0.5) / (df + 0.5));
+        const norm = 1 - b + b * (document.length / (averageLength || 1));
+        score += idf * (frequency * (k1 + 1)) / (frequency + k1 * norm);
+      }
+
+      results.push({ document, score, queryTerms });
     }
+
+    return results.sort((a, b) =>
+      b.score - a.score || b.document.capturedAt.localeCompare(a.document.capturedAt)
+    );
   }
 }
 
 // ============================================================================
-// Application Entry Point
+// AI Services
 // ============================================================================
 
-async function main() {
-  try {
-    // Initialize logging
-    await Logger.initialize();
+class AnswerService {
+  static provider = createProvider(CONFIG.llm.answer);
+
+  /**
+   * @param {string} question
+   * @param {{ text: string, sources: object[] }} context – from ContextBuilder.buildContext()
+   * @param {TimeRange} range
+   * @param {object[]} history – earlier turns of the session, oldest first
+   * @returns {Promise<{ answer: string, citations: object[], imageIds: string[] }>}
+   */
+  static async askWithContext(question, context, range = new TimeRange(), history = []) {
+    const promptText = this.constructPrompt(question, context.text, range);
     
-    // Create and start server
-    const server = new MCPServer();
-    server.registerTools();
-    await server.start();
+    // Log the message that will be sent to the model
+    await Logger.logSection(
+      `PROMPT SENT TO ${CONFIG.llm.answer.provider}/${CONFIG.llm.answer.model}`,
+      history.length > 0 ? `(after ${history.length} earlier question(s))\n${promptText}` : promptText
+    );
+
+    const { text } = await this.provider.complete(this.createRequest(promptText, history));
+    
+    return this.processResponse(text, context.sources);
+  }
+
+  static constructPrompt(question, context, range) {
+    const rangeNote = range.isBounded
+      ? `\nThe context only contains recordings from ${range.describe()}. The current time is ${new Date().toLocaleString()}.\n`
+      : '';
+
+    return `<context>
+${context}
+</context>
+${rangeNote}
+<instructions>
+You are an AI assistant specialized in analyzing and retrieving information from timestamped transcripts and image descriptions.
+
+Based on the information provided in the <context> tag, please answer the question below. Follow these guidelines:
+
+1. Always provide a complete text answer to the question, explaining what you found in the context.
+2. Prioritize more recent information (entries with more recent times) when relevant.
+3. AFTER your complete answer, cite every transcript and image description your answer is based on, most important first, one per line as <source id="id" time="time"/> with the id and time exactly as given in the context. Don't cite anything that isn't in the context.
+4. If images are relevant to answering this question, specify their ids using one <relevant_image>id</relevant_image> tag each, most relevant first (at most ${CONFIG.limits.answerImages}), after the sources.
+5. <digest> entries summarize whole hours or days; use them for overviews and the transcripts and image descriptions for details.
+6. The question may follow up on earlier questions in this conversation; resolve references like "she" or "after that" from them and the sources they cited.
+7. Transcripts with more than one speaker have one line per turn, starting with the speaker's name or label (e.g., "Alex:" or "speaker 2:"); attribute what was said accordingly.
+</instructions>
+
+<question>
+${question}
+</question>`;
+  }
+
+  /**
+   * Earlier turns go first as plain questions and answers (with the sources
+   * they cited); only the current question carries the retrieved context.
+   */
+  static createRequest(promptText, history = []) {
+    const textMessage = (role, text) => ({ role, content: [{ type: 'text', text }] });
+
+    return {
+      messages: [
+        ...history.flatMap(turn => [
+          textMessage('user', `<question>\n${turn.question}\n</question>`),
+          textMessage('assistant', [
+            turn.answer,
+            ...turn.citations.map(citation => `<source id="${citation.id}" time="${citation.localTime}"/>`)
+          ].join('\n'))
+        ]),
+        textMessage('user', promptText)
+      ]
+    };
+  }
+
+  /**
+   * Splits the model's reply into the answer, its citations and the ids of
+   * relevant images. Citations are checked against the sources that were in
+   * the context, and images against the capture store, so ids and times the
+   * model made up never reach the client.
+   * @param {string} text
+   * @param {{ id: string, capturedAt: string, kind: string }[]} sources
+   */
+  static async processResponse(text, sources = []) {
+    const sourceTags = [...text.matchAll(/<source\b([^>]*?)\/?>(?:\s*<\/source>)?/gi)].map(match => ({
+      id: match[1].match(/\bid="([^"]*)"/i)?.[1].trim(),
+      time: match[1].match(/\btime="([^"]*)"/i)?.[1].trim()
+    }));
+    const imageTags = [...text.matchAll(/<relevant_image>(.*?)<\/relevant_image>/gi)].map(match => match[1].trim());
+
+    // Clean up the answer by removing the tags
+    const cleanedAnswer = text
+      .replace(/<source\b[^>]*?\/?>(?:\s*<\/source>)?/gi, '')
+      .replace(/<relevant_image>.*?<\/relevant_image>/gi, '')
+      .trim() || 'No answer provided.';
+
+    const { citations, rejected } = this.validateCitations(sourceTags, sources);
+    const imageIds = [...new Set(imageTags)]
+      .filter(id => FileService.getRecord(id, 'image'))
+      .slice(0, CONFIG.limits.answerImages);
+
+    // Log the processed response
+    const responseLog = [
+      `Text answer: ${cleanedAnswer}`,
+      `Citations: ${citations.map(citation => citation.id).join(', ') || "None"}`,
+      ...(rejected.length > 0 ? [`Rejected citations: ${rejected.map(tag => JSON.stringify(tag)).join(', ')}`] : []),
+      `Image ids: ${imageIds.join(', ') || "None"}${imageIds.length < imageTags.length ? ` (of ${imageTags.join(', ')})` : ''}`
+    ].join('\n');
+    await Logger.logSection("PROCESSED RESPONSE", responseLog);
+
+    return {
+      answer: cleanedAnswer,
+      citations,
+      imageIds
+    };
+  }
+
+  /**
+   * Keeps the cited sources that were in the context and still exist, in the
+   * model's order without repeats. A source is found by its id, or by its time
+   * if the id is missing or wrong; its time always comes from the record.
+   */
+  static validateCitations(sourceTags, sources) {
+    const byId = new Map(sources.map(source => [source.id, source]));
+    const byTime = new Map(sources.map(source => [TimeRange.formatLocal(new Date(source.capturedAt)), source]));
+
+    const citations = [];
+    const rejected = [];
+    for (const tag of sourceTags) {
+      const source = byId.get(tag.id) ?? byTime.get(tag.time);
+      const record = source && captureStore.get(source.id);
+      if (!record) {
+        rejected.push(tag);
+        continue;
+      }
+      if (citations.some(citation => citation.id === record.id)) continue;
+
+      citations.push({
+        id: record.id,
+        type: record.type,
+        time: record.capturedAt,
+        localTime: TimeRange.formatLocal(new Date(record.capturedAt))
+      });
+    }
+
+    return { citations, rejected };
+  }
+}
+
+// ============================================================================
+// Query Sessions
+// ============================================================================
+
+/**
+ * Earlier questions, answers and citations of context_query, so follow-up
+ * questions (with a session_id) are asked as one conversation. Kept in memory
+ * and forgotten after CONFIG.sessions.ttlMs without use.
+ */
+class QuerySessions {
+  static sessions = new Map();
+
+  /**
+   * @returns {object | null} – null if there's no such session (anymore)
+   */
+  static get(id) {
+    this.prune();
+    const session = this.sessions.get(id) ?? null;
+    if (session) session.lastUsedAt = Date.now();
+    return session;
+  }
+
+  static create() {
+    this.prune();
+    // The least recently used session makes room
+    if (this.sessions.size >= CONFIG.sessions.maxSessions) {
+      const [oldest] = [...this.sessions.values()].sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+      this.sessions.delete(oldest.id);
+    }
+
+    const session = { id: randomUUID(), turns: [], lastUsedAt: Date.now() };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * @param {object} session
+   * @param {{ question: string, answer: string, citations: object[], range: TimeRange, conversationId: string | null, speaker: string | null }} turn
+   */
+  static addTurn(session, turn) {
+    session.turns = [...session.turns, turn].slice(-CONFIG.sessions.maxTurns);
+    session.lastUsedAt = Date.now();
+  }
+
+  static prune() {
+    const cutoff = Date.now() - CONFIG.sessions.ttlMs;
+    for (const [id, session] of this.sessions) {
+      if (session.lastUsedAt < cutoff) this.sessions.delete(id);
+    }
+  }
+}
+
+// ============================================================================
+// Web Server Client
+// ============================================================================
+
+class WebServerClient {
+  static async request(method, pathAndQuery, body) {
+    if (!CONFIG.webServer.token) {
+      throw new Error('Web-server device token missing (pair via POST /pair and set WEB_SERVER_TOKEN)');
+    }
+
+    const resp = await fetch(new URL(pathAndQuery, CONFIG.webServer.url), {
+      method,
+      headers: {
+        authorization: `Bearer ${CONFIG.webServer.token}`,
+        ...(body !== undefined && { 'content-type': 'application/json' })
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    if (!resp.ok) {
+      const errText = await resp.text();
+      throw new Error(`Web-server error: ${resp.status} — ${errText}`);
+    }
+
+    return await resp.json();
+  }
+
+  static async deleteCapture(id) {
+    return this.request('DELETE', `/media/${encodeURIComponent(id)}`);
+  }
+
+  static async nameSpeakers(conversationId, names) {
+    return this.request('PATCH', `/conversations/${encodeURIComponent(conversationId)}/speakers`, names);
+  }
+
+  static async updateActionItem(id, changes) {
+    return this.request('PATCH', `/actions/${encodeURIComponent(id)}`, changes);
+  }
+}
+
+// ============================================================================
+// Context Builder
+// ============================================================================
+
+class ContextBuilder {
+  /**
+   * @param {string} question
+   * @param {TimeRange} range
+   * @param {object | null} conversation – only use this conversation's captures
+   * @param {object | null} previousTurn – the question this one follows up on
+   * @param {string | null} speaker – only use transcripts this speaker talks in
+   * @returns {Promise<{ text: string, sources: { id: string, capturedAt: string, kind: string }[] }>}
+   *   – the context and the transcripts and images it contains
+   */
+  static async buildContext(question, range = new TimeRange(), conversation = null, previousTurn = null, speaker = null) {
+    // Catch anything the store watcher hasn't delivered yet
+    await SearchIndex.sync();
+
+    // Long ranges get digests first, so broad questions see the whole period
+    const digests = conversation || speaker ? [] : await this.selectDigests(range);
+    const digestTokens = digests.reduce((sum, digest) => sum + this.estimateTokens(digest.content), 0);
+
+    const ids = this.filterIds(conversation, speaker);
+    // "And after that?" has few useful terms of its own; the question before has them
+    const query = previousTurn ? `${previousTurn.question} ${question}` : question;
+    const carried = previousTurn ? this.carryOver(previousTurn, query, range, ids) : [];
+    const carriedIds = new Set(carried.map(({ document }) => document.id));
+    const ranked = SearchIndex.search(query, range, ids).filter(({ document }) => !carriedIds.has(document.id));
+    const selected = this.selectWithinBudget([...carried, ...ranked], CONFIG.limits.contextTokens - digestTokens);
+    await Logger.logToFile(`Selected ${digests.length} digests and ${selected.length} of ${SearchIndex.documents.size} documents for context`);
+
+    // Present the selected snippets in chronological order
+    const byTime = (a, b) => a.capturedAt.localeCompare(b.capturedAt);
+    const transcriptFiles = selected.filter(item => item.kind === 'transcript').sort(byTime);
+    const imageDescFiles = selected.filter(item => item.kind === 'image').sort(byTime);
+
+    // Combine all text content with capture ids and times as context
+    let contextParts = [];
+
+    this.addDigestsToContext(contextParts, digests);
+    this.addTranscriptsToContext(contextParts, transcriptFiles);
+    this.addImageDescriptionsToContext(contextParts, imageDescFiles);
+
+    // Combine all context
+    return {
+      text: contextParts.join("\n"),
+      sources: [...transcriptFiles, ...imageDescFiles].map(({ id, capturedAt, kind }) => ({ id, capturedAt, kind }))
+    };
+  }
+
+  /**
+   * Captures a question is limited to: those of a conversation, transcripts
+   * a speaker talks in, or both.
+   * @returns {Set<string> | null} – null for no limit
+   */
+  static filterIds(conversation, speaker) {
+    let ids = conversation ? new Set([...conversation.transcriptIds, ...conversation.imageIds]) : null;
+    if (speaker) {
+      ids = new Set([...SearchIndex.documents.values()]
+        .filter(document => document.kind === 'transcript' && FileService.spokeIn(document.speakers, speaker))
+        .filter(document => !ids || ids.has(document.id))
+        .map(document => document.id));
+    }
+    return ids;
+  }
+
+  /**
+   * The context a follow-up starts from: what the previous answer cited, and
+   * the captures that came right after the last of it, so the window moves on
+   * with questions like "what happened next?". Like search results, it stays
+   * within the follow-up's range and captures.
+   * @returns {{ document: object, queryTerms: string[] }[]} – in the form of search results
+   */
+  static carryOver(previousTurn, query, range, ids) {
+    const queryTerms = SearchIndex.tokenize(query);
+    const inScope = document => range.contains(new Date(document.capturedAt)) && (!ids || ids.has(document.id));
+    const cited = previousTurn.citations
+      .map(citation => SearchIndex.documents.get(citation.id))
+      .filter(Boolean);
+
+    const lastCitedAt = cited.map(document => document.capturedAt).sort().at(-1);
+    const following = lastCitedAt
+      ? [...SearchIndex.documents.values()]
+        .filter(document => document.capturedAt > lastCitedAt && inScope(document))
+        .sort((a, b) => a.capturedAt.localeCompare(b.capturedAt))
+        .slice(0, CONFIG.sessions.followingCaptures)
+      : [];
+
+    return [...cited.filter(inScope), ...following].map(document => ({ document, queryTerms }));
+  }
+
+  /**
+   * Takes ranked results in order until the token budget is used up.
+   */
+  static selectWithinBudget(results, budgetTokens = CONFIG.limits.contextTokens) {
+    const selected = [];
+    let remainingTokens = budgetTokens;
+
+    for (const { document, queryTerms } of results) {
+      const content = this.snippet(document.content, queryTerms, CONFIG.limits.snippetTokens);
+      const tokens = this.estimateTokens(content);
+      if (tokens > remainingTokens) continue;
+
+      selected.push({ id: document.id, capturedAt: document.capturedAt, kind: document.kind, content });
+      remainingTokens -= tokens;
+      if (remainingTokens <= 0) break;
+    }
+
+    return selected;
+  }
+
+  /**
+   * Picks day digests for ranges of days, hour digests for ranges of hours
+   * (none for shorter ones), newest first until the digest budget is used up.
+   * @returns {Promise<{ period: string, start: string, end: string, content: string }[]>} – oldest first
+   */
+  static async selectDigests(range) {
+    const span = (range.end ?? new Date()) - (range.start ?? 0);
+    const period = span >= CONFIG.digests.dayMinSpanMs ? 'day'
+      : span >= CONFIG.digests.hourMinSpanMs ? 'hour'
+      : null;
+    if (!period) return [];
+
+    const selected = [];
+    let remainingTokens = CONFIG.limits.digestTokens;
+
+    for (const digest of (await FileService.listDigests(period, range)).reverse()) {
+      const content = [
+        digest.summary,
+        `Topics: ${digest.topics.join(', ') || 'none'}`,
+        `People: ${digest.people.join(', ') || 'none'}`,
+        `Notable images: ${digest.notableImages.map(image => `${image.id} (${image.reason})`).join('; ') || 'none'}`
+      ].join('\n');
+
+      const tokens = this.estimateTokens(content);
+      if (tokens > remainingTokens) break;
+
+      selected.unshift({ period, start: digest.start, end: digest.end, content });
+      remainingTokens -= tokens;
+    }
+
+    return selected;
+  }
+
+  // Rough estimate (~4 characters per token); good enough for budgeting
+  static estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+
+  /**
+   * Cuts long content down to a window around the first query term it contains.
+   */
+  static snippet(content, queryTerms, maxTokens) {
+    const maxChars = maxTokens * 4;
+    if (content.length <= maxChars) return content;
+
+    const lower = content.toLowerCase();
+    const positions = queryTerms.map(term => lower.indexOf(term)).filter(pos => pos >= 0);
+    const firstMatch = positions.length > 0 ? Math.min(...positions) : 0;
+    const start = Math.max(0, Math.min(firstMatch - Math.floor(maxChars / 4), content.length - maxChars));
+
+    return `${start > 0 ? '…' : ''}${content.slice(start, start + maxChars)}${start + maxChars < content.length ? '…' : ''}`;
+  }
+
+  static addDigestsToContext(contextParts, digests) {
+    if (digests.length > 0) {
+      contextParts.push("<digests>");
+
+      for (const { period, start, end, content } of digests) {
+        const from = TimeRange.formatLocal(new Date(start));
+        const to = TimeRange.formatLocal(new Date(end));
+
+        contextParts.push(`<digest period="${period}" from="${from}" to="${to}">`);
+        contextParts.push(`\n${content}\n`);
+        contextParts.push("</digest>");
+      }
+      contextParts.push("</digests>");
+    }
+  }
+
+  static addTranscriptsToContext(contextParts, transcriptFiles) {
+    if (transcriptFiles.length > 0) {
+      contextParts.push("<transcripts>");
+      transcriptFiles.forEach(({ id, capturedAt, content }) => {
+        const time = TimeRange.formatLocal(new Date(capturedAt));
+
+        contextParts.push(`<transcript id="${id}" time="${time}">`);
+        contextParts.push(`\n${content}\n`);
+        contextParts.push("</transcript>");
+      });
+      contextParts.push("</transcripts>");
+    }
+  }
+
+  static addImageDescriptionsToContext(contextParts, imageDescFiles) {
+    if (imageDescFiles.length > 0) {
+      contextParts.push("<image_descriptions>");
+
+      for (const { id, capturedAt, content } of imageDescFiles) {
+        const time = TimeRange.formatLocal(new Date(capturedAt));
+
+        contextParts.push(`<image_description id="${id}" time="${time}">`);
+        contextParts.push(`\n${content}\n`);
+        contextParts.push("</image_description>");
+      }
+      contextParts.push("</image_descriptions>");
+    }
+  }
+}
+
+// ============================================================================
+// Response Builder
+// ============================================================================
+
+class ResponseBuilder {
+  static async buildResponse({ answer, citations, imageIds }, sessionId) {
+    let responseContent = [];
+
+    // Add images first to avoid order swapping issues in some clients
+    await this.addRelevantImages(responseContent, imageIds);
+    
+    // Then add text answer
+    responseContent.push({
+      type: "text",
+      text: answer
+    });
+
+    // And the sources it's based on, for clients to link or quote
+    if (citations.length > 0) {
+      responseContent.push({
+        type: "text",
+        text: `Sources:\n${JSON.stringify(citations, null, 2)}`
+      });
+    }
+
+    const ttlMinutes = Math.round(CONFIG.sessions.ttlMs / 60000);
+    responseContent.push({
+      type: "text",
+      text: `Session: ${sessionId} (pass as session_id to ask a follow-up question; expires after ${ttlMinutes} minutes without use)`
+    });
+
+    return { content: responseContent };
+  }
+
+  static async addRelevantImages(responseContent, imageIds) {
+    for (const [index, id] of imageIds.entries()) {
+      const image = await FileService.getImage(id);
+      if (image) {
+        const time = TimeRange.formatLocal(new Date(FileService.getRecord(id, 'image').capturedAt));
+        responseContent.push({
+          type: "image",
+          data: image.base64,
+          mimeType: image.mediaType,
+          alt: `Relevant image ${index + 1} for your query (${time}, id ${id})`
+        });
+      }
+    }
+  }
+}
+
+// ============================================================================
+// MCP Tool Implementation
+// ============================================================================
+
+class QueryService {
+  static async answerFromContext(params) {
+    const { question, from, to, conversation_id, speaker, session_id } = params;
+
+    if (!question || typeof question !== 'string') {
+      throw new Error("Missing or invalid 'question' parameter");
+    }
+
+    let session;
+    if (session_id) {
+      session = QuerySessions.get(session_id);
+      if (!session) {
+        throw new Error(`No session found with id ${session_id}; it may have expired. Ask again without session_id to start a new one.`);
+      }
+    } else {
+      session = QuerySessions.create();
+    }
+    const previousTurn = session.turns.at(-1) ?? null;
+
+    // Follow-ups stay in the time range, conversation and speaker of the question before unless given new ones
+    const inherit = previousTurn && !from && !to && !conversation_id && !speaker;
+    const range = inherit ? previousTurn.range : TimeRange.fromParams({ from, to });
+    const conversationId = inherit ? previousTurn.conversationId : conversation_id ?? null;
+    const speakerFilter = inherit ? previousTurn.speaker : speaker ?? null;
+
+    let conversation = null;
+    if (conversationId) {
+      conversation = await FileService.getConversation(conversationId);
+      if (!conversation) {
+        throw new Error(`No conversation found with id ${conversationId}`);
+      }
+    }
+
+    // Build context from the best matching files
+    const context = await ContextBuilder.buildContext(question, range, conversation, previousTurn, speakerFilter);
+
+    // Get answer from the configured model
+    const response = await AnswerService.askWithContext(question, context, range, session.turns);
+    QuerySessions.addTurn(session, {
+      question,
+      answer: response.answer,
+      citations: response.citations,
+      range,
+      conversationId,
+      speaker: speakerFilter
+    });
+
+    // Build response with text, sources and relevant images
+    return ResponseBuilder.buildResponse(response, session.id);
+  }
+}
+
+class RecordingService {
+  static async listRecordings(params) {
+    const { type = 'all', speaker } = params;
+    const range = TimeRange.fromDateOrRange(params);
+
+    // Pick up captures recorded since the last store change event
+    await RecordingWatcher.refresh();
+
+    const names = await FileService.speakerNamesByTranscript();
+    const listing = FileService.listRecordings(range, speaker ? 'transcript' : type)
+      .map(record => ({ record, speakers: FileService.transcriptSpeakers(record, names.get(record.id)) }))
+      .filter(({ speakers }) => !speaker || FileService.spokeIn(speakers, speaker))
+      .map(({ record, speakers }) => ({
+        id: record.id,
+        type: record.type,
+        time: record.capturedAt,
+        localTime: TimeRange.formatLocal(new Date(record.capturedAt)),
+        // Images stand for near-identical frames up to this time
+        ...(record.seenUntil && { seenUntil: TimeRange.formatLocal(new Date(record.seenUntil)) }),
+        mediaType: record.mediaType,
+        status: record.status,
+        ...(record.keywords && { keywords: FileService.readKeywords(record) }),
+        ...(speakers.length > 0 && { speakers: speakers.map(({ name }) => name) })
+      }));
+
+    return {
+      content: [{
+        type: "text",
+        text: listing.length > 0
+          ? JSON.stringify(listing, null, 2)
+          : `No recordings found (${range.describe()}).`
+      }]
+    };
+  }
+
+  static async getTranscript(params) {
+    const { id } = params;
+
+    const record = FileService.getRecord(id, 'transcript');
+    const names = (await FileService.speakerNamesByTranscript()).get(id);
+    const transcript = record ? await FileService.readTranscript(record, names) : null;
+    if (transcript === null) {
+      throw new Error(`No transcript found with id ${id}`);
+    }
+
+    return { content: [{ type: "text", text: transcript }] };
+  }
+
+  static async getImage(params) {
+    const { id } = params;
+
+    const image = await FileService.getImage(id);
+    if (!image) {
+      throw new Error(`No image found with id ${id}`);
+    }
+
+    const description = await FileService.readText(FileService.getRecord(id, 'image'));
+
+    return {
+      content: [
+        {
+          type: "image",
+          data: image.base64,
+          mimeType: image.mediaType
+        },
+        {
+          type: "text",
+          text: description ?? "No description available for this image yet."
+        }
+      ]
+    };
+  }
+}
+
+class ImageService {
+  static DEFAULT_LIMIT = 50;
+
+  /**
+   * Finds images by their analysis sidecars: objects, visible text, scene
+   * type and people count. Images without an analysis are left out.
+   */
+  static async findImages(params) {
+    const { object, text, scene, min_people, max_people, limit = this.DEFAULT_LIMIT } = params;
+    if ([object, text, scene, min_people, max_people].every(filter => filter === undefined)) {
+      throw new Error("Pass at least one of object, text, scene, min_people or max_people");
+    }
+    const range = TimeRange.fromDateOrRange(params);
+
+    // Pick up captures recorded since the last store change event
+    await RecordingWatcher.refresh();
+
+    const objectNames = object === undefined ? [] : this.singularForms(object);
+    const textTerm = text?.toLowerCase();
+    const sceneTerm = scene?.toLowerCase();
+
+    const matches = [];
+    let unanalyzed = 0;
+    for (const record of FileService.listRecordings(range, 'image')) {
+      const analysis = await FileService.readAnalysis(record);
+      if (!analysis) {
+        unanalyzed++;
+        continue;
+      }
+
+      const objects = analysis.objects.filter(({ name }) => objectNames.some(term => name.includes(term)));
+      const matchedText = textTerm === undefined ? [] : analysis.text.filter(line => line.toLowerCase().includes(textTerm));
+      if (object !== undefined && objects.length === 0) continue;
+      if (text !== undefined && matchedText.length === 0) continue;
+      if (scene !== undefined && !analysis.sceneType.includes(sceneTerm)) continue;
+      if (min_people !== undefined && analysis.peopleCount < min_people) continue;
+      if (max_people !== undefined && analysis.peopleCount > max_people) continue;
+
+      matches.push({
+        id: record.id,
+        localTime: TimeRange.formatLocal(new Date(record.capturedAt)),
+        caption: analysis.caption,
+        sceneType: analysis.sceneType,
+        peopleCount: analysis.peopleCount,
+        objects: analysis.objects,
+        ...(text !== undefined && { matchedText })
+      });
+    }
+
+    // Most recent first, as the latest sighting is usually what's asked for
+    const listing = matches.reverse().slice(0, limit);
+    const notes = [
+      ...(matches.length > limit ? [`Showing the ${limit} most recent of ${matches.length} matching images.`] : []),
+      ...(unanalyzed > 0 ? [`${unanalyzed} image(s) in the range have no analysis yet and weren't searched.`] : [])
+    ];
+
+    return {
+      content: [{
+        type: "text",
+        text: [
+          listing.length > 0
+            ? JSON.stringify(listing, null, 2)
+            : `No matching images found (${range.describe()}).`,
+          ...notes
+        ].join('\n\n')
+      }]
+    };
+  }
+
+  /**
+   * Object names are stored lowercase and singular; "whiteboards" and
+   * "boxes" should still find them.
+   */
+  static singularForms(term) {
+    const name = term.trim().toLowerCase();
+    const forms = [name];
+    if (name.endsWith('es')) forms.push(name.slice(0, -2));
+    if (name.endsWith('s')) forms.push(name.slice(0, -1));
+    return forms;
+  }
+}
+
+class ForgetService {
+  // How many captures the confirmation preview lists by name
+  static PREVIEW_LIMIT = 10;
+
+  /**
+   * Deletes captures by id or time range. Without confirm=true it only
+   * describes what would be deleted, so the user can approve it first. The
+   * preview pins a relative range to absolute times and comes with a token
+   * for exactly the captures listed; confirming with it deletes only those,
+   * and nothing at all if the range matches other captures by then.
+   */
+  static async forget(params) {
+    const { id, from, to, type = 'all', confirm = false, confirm_token: confirmToken } = params;
+
+    if (id && (from || to)) {
+      throw new Error("Use either 'id' or 'from'/'to', not both");
+    }
+    if (!id && !from && !to) {
+      throw new Error("Specify an 'id' or a time range ('from' and/or 'to') to forget");
+    }
+
+    await RecordingWatcher.refresh();
+
+    const range = TimeRange.fromParams({ from, to });
+    const records = id
+      ? [captureStore.get(id)].filter(Boolean)
+      : FileService.listRecordings(range, type);
+
+    if (records.length === 0) {
+      return { content: [{ type: "text", text: "Nothing to forget: no matching recordings." }] };
+    }
+
+    const token = this.confirmToken(records);
+    if (!confirm) {
+      // Without an end, the range would take in whatever is captured after the preview
+      const pinned = id ? null : new TimeRange(range.start, range.end ?? new Date());
+      return { content: [{ type: "text", text: this.describePreview(records, pinned, type, token) }] };
+    }
+
+    if (!confirmToken) {
+      throw new Error("Call forget without confirm first and show the preview; confirming needs its confirm_token");
+    }
+    if (confirmToken !== token) {
+      throw new Error("The matching recordings changed since the preview (or the arguments differ); nothing was deleted. Show a new preview first");
+    }
+
+    const deleted = [];
+    for (const record of records) {
+      deleted.push(...(await WebServerClient.deleteCapture(record.id)).deleted);
+    }
+
+    await Logger.logToFile(`Forgot ${deleted.length} capture(s): ${deleted.join(', ')}`);
+    return {
+      content: [{ type: "text", text: `Permanently deleted ${deleted.length} recording(s).` }]
+    };
+  }
+
+  /**
+   * Short hash of the capture IDs a preview lists.
+   */
+  static confirmToken(records) {
+    const ids = records.map(record => record.id).sort().join('\n');
+    return createHash('sha256').update(ids).digest('hex').slice(0, 16);
+  }
+
+  static describePreview(records, range, type, token) {
+    const count = (type) => records.filter(record => record.type === type).length;
+    const lines = records.slice(0, this.PREVIEW_LIMIT).map(record =>
+      `- ${record.type} ${record.id} (${TimeRange.formatLocal(new Date(record.capturedAt))})`
+    );
+    if (records.length > this.PREVIEW_LIMIT) {
+      lines.push(`- … and ${records.length - this.PREVIEW_LIMIT} more`);
+    }
+
+    return [
+      `This would permanently delete ${records.length} recording(s) ` +
+        `(${count('transcript')} transcript(s), ${count('image')} image(s))` +
+        (range ? ` from ${range.describe()}` : '') + ':',
+      ...lines,
+      '',
+      'Nothing has been deleted yet. Ask the user to confirm, then call forget again with ' +
+        (range
+          ? `${range.start ? `from: "${range.start.toISOString()}", ` : ''}to: "${range.end.toISOString()}"${type !== 'all' ? `, type: "${type}"` : ''}`
+          : `id: "${records[0].id}"`) +
+        `, confirm: true and confirm_token: "${token}".`
+    ].join('\n');
+  }
+}
+
+class SummaryService {
+  static async summarizePeriod(params) {
+    const { granularity = 'day' } = params;
+    const range = TimeRange.fromDateOrRange(params);
+
+    const digests = (await FileService.listDigests(granularity, range)).map(digest => ({
+      period: digest.period,
+      from: TimeRange.formatLocal(new Date(digest.start)),
+      to: TimeRange.formatLocal(new Date(digest.end)),
+      summary: digest.summary,
+      topics: digest.topics,
+      people: digest.people,
+      notableImages: digest.notableImages,
+      generatedAt: digest.generatedAt
+    }));
+
+    return {
+      content: [{
+        type: "text",
+        text: digests.length > 0
+          ? JSON.stringify(digests, null, 2)
+          : `No ${granularity} digests found (${range.describe()}). The web-server generates them periodically; use context_query or list_recordings for recordings that aren't summarized yet.`
+      }]
+    };
+  }
+}
+
+class ConversationService {
+  static async listConversations(params) {
+    const range = TimeRange.fromDateOrRange(params);
+
+    const listing = (await FileService.listConversations(range)).map(conversation => ({
+      id: conversation.id,
+      title: conversation.title,
+      from: TimeRange.formatLocal(new Date(conversation.start)),
+      to: TimeRange.formatLocal(new Date(conversation.end)),
+      ongoing: conversation.open,
+      transcripts: conversation.transcriptIds.length,
+      images: conversation.imageIds.length,
+      ...(Object.keys(conversation.speakers ?? {}).length > 0 && { speakers: conversation.speakers })
+    }));
+
+    return {
+      content: [{
+        type: "text",
+        text: listing.length > 0
+          ? JSON.stringify(listing, null, 2)
+          : `No conversations found (${range.describe()}).`
+      }]
+    };
+  }
+
+  static async nameSpeaker(params) {
+    const { conversation_id, label, name } = params;
+
+    await WebServerClient.nameSpeakers(conversation_id, { [label]: name });
+    await Logger.logToFile(`Named ${label} in ${conversation_id}`);
+    return {
+      content: [{
+        type: "text",
+        text: name === null
+          ? `"${label}" in conversation ${conversation_id} no longer has a name.`
+          : `"${label}" in conversation ${conversation_id} is now called ${name}.`
+      }]
+    };
+  }
+
+  static async getConversation(params) {
+    const { id } = params;
+
+    const conversation = await FileService.getConversation(id);
+    if (!conversation) {
+      throw new Error(`No conversation found with id ${id}`);
+    }
+
+    const from = TimeRange.formatLocal(new Date(conversation.start));
+    const to = TimeRange.formatLocal(new Date(conversation.end));
+    const records = conversation.transcriptIds
+      .map(transcriptId => FileService.getRecord(transcriptId, 'transcript'))
+      .filter(Boolean);
+    // Names apply to labels regardless of case
+    const labels = [...new Map(records.flatMap(record => record.speakers ?? []).map(label => [label.toLowerCase(), label])).values()];
+
+    const lines = [
+      `# ${conversation.title ?? 'Untitled conversation'}`,
+      `${from} to ${to}${conversation.open ? ' (ongoing)' : ''}`,
+      ...(labels.length > 0 ? [`Speakers: ${labels.map(label => {
+        const name = speakerName(conversation.speakers, label);
+        return name === label ? label : `${name} (${label})`;
+      }).join(', ')}`] : []),
+      ''
+    ];
+
+    for (const record of records) {
+      const text = await FileService.readTranscript(record, conversation.speakers);
+      if (text === null) continue;
+
+      // Speaker turns start on their own lines
+      const separator = record.files.segments ? '\n' : ' ';
+      lines.push(`[${TimeRange.formatLocal(new Date(record.capturedAt))}] (${record.id})${separator}${text.trim()}`);
+    }
+
+    if (conversation.imageIds.length > 0) {
+      lines.push('', 'Images captured during the conversation (open them with get_image):');
+      for (const imageId of conversation.imageIds) {
+        const record = FileService.getRecord(imageId, 'image');
+        if (!record) continue;
+
+        const description = await FileService.readText(record);
+        lines.push(`- ${imageId} at ${TimeRange.formatLocal(new Date(record.capturedAt))}: ${description?.trim() ?? 'not described yet'}`);
+      }
+    }
+
+    return { content: [{ type: "text", text: lines.join('\n') }] };
+  }
+}
+
+class ActionItemService {
+  /**
+   * Lists action items as a to-do list: soonest due first, items without a
+   * due date after them in the order they were said.
+   */
+  static async listActionItems(params) {
+    const { status = 'open', owner } = params;
+    const range = TimeRange.fromDateOrRange(params);
+
+    const ownerText = owner?.trim().toLowerCase();
+    const items = (await FileService.listActionItems(range, status === 'all' ? undefined : status))
+      .filter(item => !ownerText || item.owner?.toLowerCase().includes(ownerText))
+      .sort((a, b) => (a.due ?? '9999').localeCompare(b.due ?? '9999'));
+
+    const listing = items.map(item => this.formatItem(item));
+    return {
+      content: [{
+        type: "text",
+        text: listing.length > 0
+          ? JSON.stringify(listing, null, 2)
+          : `No ${status === 'all' ? '' : `${status} `}action items found (${range.describe()}).`
+      }]
+    };
+  }
+
+  static async updateActionItem(params) {
+    const { id, ...changes } = params;
+    if (Object.keys(changes).length === 0) {
+      throw new Error("Nothing to update: set 'status', 'owner', 'due', 'text' or 'note'");
+    }
+
+    const item = await WebServerClient.updateActionItem(id, changes);
+    await Logger.logToFile(`Updated action item ${id}: ${Object.keys(changes).join(', ')}`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(this.formatItem(FileService.redactActionItem(item)), null, 2)
+      }]
+    };
+  }
+
+  static formatItem(item) {
+    return {
+      id: item.id,
+      text: item.text,
+      owner: item.owner,
+      due: item.due,
+      dueText: item.dueText,
+      status: item.status,
+      note: item.note,
+      said: TimeRange.formatLocal(new Date(item.capturedAt)),
+      transcriptId: item.sourceId
+    };
+  }
+}
+
+// ============================================================================
+// MCP Resource Implementation
+// ============================================================================
+
+class ResourceService {
+  static transcriptUri(id) {
+    return `transcript://${id}`;
+  }
+
+  static imageUri(id) {
+    return `image://${id}`;
+  }
+
+  static listTranscripts() {
+    return {
+      resources: FileService.listRecordings(new TimeRange(), 'transcript').map(({ id, capturedAt }) => ({
+        uri: this.transcriptUri(id),
+        name: `Transcript ${TimeRange.formatLocal(new Date(capturedAt))}`,
+        mimeType: 'text/plain'
+      }))
+    };
+  }
+
+  static listImages() {
+    return {
+      resources: FileService.listRecordings(new TimeRange(), 'image').map(({ id, capturedAt, mediaType }) => ({
+        uri: this.imageUri(id),
+        name: `Image ${TimeRange.formatLocal(new Date(capturedAt))}`,
+        mimeType: mediaType
+      }))
+    };
+  }
+
+  static async readTranscript(uri, { id }) {
+    const record = FileService.getRecord(id, 'transcript');
+    const names = (await FileService.speakerNamesByTranscript()).get(id);
+    const transcript = record ? await FileService.readTranscript(record, names) : null;
+    if (transcript === null) {
+      throw new Error(`No transcript found for ${uri.href}`);
+    }
+
+    return {
+      contents: [{ uri: uri.href, mimeType: 'text/plain', text: transcript }]
+    };
+  }
+
+  static async readImage(uri, { id }) {
+    const image = await FileService.getImage(id);
+    if (!image) {
+      throw new Error(`No image found for ${uri.href}`);
+    }
+
+    const contents = [{ uri: uri.href, mimeType: image.mediaType, blob: image.base64 }];
+
+    const description = await FileService.readText(FileService.getRecord(id, 'image'));
+    if (description !== null) {
+      contents.push({ uri: uri.href, mimeType: 'text/plain', text: description });
+    }
+
+    return { contents };
+  }
+
+  /**
+   * Maps a capture store change to the resource it affects.
+   * An image's description is part of the image resource.
+   */
+  static uriForChange({ kind, id }) {
+    return kind === 'transcript' ? this.transcriptUri(id) : this.imageUri(id);
+  }
+}
+
+// ============================================================================
+// Server Setup
+// ============================================================================
+
+class MCPServer {
+  constructor() {
+    this.server = new McpServer({
+      name: "context-query",
+      version: "1.0.0",
+    });
+
+    // URIs the client asked to be notified about via resources/subscribe
+    this.subscriptions = new Set();
+    // Pending notifications, keyed by URI ("*" for list_changed)
+    this.notificationTimers = new Map();
+    this.stopWatching = null;
+
+    // Called when the transport closes (client disconnect, session DELETE, ...)
+    this.onclose = null;
+    this.server.server.onclose = () => this.onclose?.();
+  }
+
+  /**
+   * Creates a server with all tools and resources registered. Each HTTP
+   * session gets its own instance; stdio uses a single one.
+   */
+  static create() {
+    const server = new MCPServer();
+    server.registerTools();
+    server.registerResources();
+    return server;
+  }
+
+  registerResources() {
+    this.server.resource(
+      "transcript",
+      new ResourceTemplate("transcript://{id}", {
+        list: () => ResourceService.listTranscripts()
+      }),
+      { description: "A recorded audio transcript", mimeType: "text/plain" },
+      (uri, variables) => ResourceService.readTranscript(uri, variables)
+    );
+
+    this.server.resource(
+      "image",
+      new ResourceTemplate("image://{id}", {
+        list: () => ResourceService.listImages()
+      }),
+      { description: "A camera image together with its description" },
+      (uri, variables) => ResourceService.readImage(uri, variables)
+    );
+
+    this.server.server.registerCapabilities({ resources: { subscribe: true } });
+
+    this.server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      this.subscriptions.add(request.params.uri);
+      return {};
+    });
+
+    this.server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.subscriptions.delete(request.params.uri);
+      return {};
+    });
+
+    this.stopWatching = RecordingWatcher.onChange((change) => this.notifyResourceChange(change));
+  }
+
+  notifyResourceChange(change) {
+    const uri = ResourceService.uriForChange(change);
+
+    if (this.subscriptions.has(uri)) {
+      this.debounceNotification(uri, () =>
+        this.server.server.sendResourceUpdated({ uri }).catch(err =>
+          Logger.logError(`Error sending resources/updated for ${uri}: ${err.message}`)
+        )
+      );
+    }
+
+    if (change.eventType !== 'updated') {
+      this.debounceNotification('*', () => this.server.sendResourceListChanged());
+    }
+  }
+
+  debounceNotification(key, send) {
+    if (this.notificationTimers.has(key)) return;
+
+    this.notificationTimers.set(key, setTimeout(() => {
+      this.notificationTimers.delete(key);
+      send();
+    }, CONFIG.watcher.debounceMs));
+  }
+
+  registerTools() {
+    const from = z.string().optional().describe("Only use recordings from this time on. ISO date/datetime (e.g., '2025-05-17', '2025-05-17T09:00') or relative ('today', 'yesterday', 'this morning', 'last 2 hours', '3 days ago')");
+    const to = z.string().optional().describe("Only use recordings up to this time. Same formats as 'from'; a day such as 'yesterday' includes the whole day");
+    const id = z.string()
+      .refine(isCaptureId, "Expected a capture id as returned by list_recordings")
+      .describe("Capture id as returned by list_recordings (e.g., '20250517T024024123Z-3f9a1c')");
+    const conversationId = z.string()
+      .refine(isConversationId, "Expected a conversation id as returned by list_conversations")
+      .describe("Conversation id as returned by list_conversations (e.g., 'c-20250517T024024123Z-3f9a1c')");
+
+    this.registerTool(
+      "context_query",
+      "Retrieves information from user's recorded audio conversations and camera logs. The answer comes with the ids and times of the transcripts and images it's based on, and the most relevant images attached",
+      {
+        question: z.string().describe("Natural language question about the user's recorded conversations or camera footage (e.g., 'What did I discuss yesterday?', 'Show me pictures from my morning walk')"),
+        from,
+        to,
+        conversation_id: conversationId.optional().describe("Only use recordings from this conversation, as returned by list_conversations"),
+        speaker: z.string().min(1).optional().describe("Only use transcripts in which this speaker talks: a name given with name_speaker (e.g., 'Alex') or a speaker label (e.g., 'speaker 2'). For questions like 'what did Alex say about the budget?'"),
+        session_id: z.string().uuid().optional().describe("Session id from an earlier context_query answer, to ask a follow-up question (e.g., 'and what did she say after that?'). Without from/to/conversation_id, the follow-up keeps the earlier time range and conversation")
+      },
+      (params) => QueryService.answerFromContext(params)
+    );
+
+    this.registerTool(
+      "list_recordings",
+      "Lists recorded transcripts and camera images with their ids, capture times and types, oldest first",
+      {
+        date: z.string().optional().describe("Only list recordings from this day (e.g., '2025-05-17', 'today', 'yesterday')"),
+        from,
+        to,
+        type: z.enum(["all", "transcript", "image"]).optional().describe("Only list this type of recording (default: all)"),
+        speaker: z.string().min(1).optional().describe("Only list transcripts in which this speaker talks: a name (e.g., 'Alex') or a speaker label (e.g., 'speaker 2')")
+      },
+      (params) => RecordingService.listRecordings(params)
+    );
+
+    this.registerTool(
+      "find_images",
+      "Finds camera images by what the vision model saw in them: objects (e.g., 'whiteboard'), visible text (e.g., 'invoice'), scene type and number of people. Returns each match's id, time, caption and analysis, most recent first; use get_image for the picture itself",
+      {
+        object: z.string().min(1).optional().describe("Only images showing an object whose name contains this (e.g., 'whiteboard', 'laptop')"),
+        text: z.string().min(1).optional().describe("Only images with visible text containing this, case-insensitive (e.g., 'invoice')"),
+        scene: z.string().min(1).optional().describe("Only images whose scene type contains this (e.g., 'office', 'kitchen', 'street', 'screen')"),
+        min_people: z.number().int().min(0).optional().describe("Only images with at least this many people"),
+        max_people: z.number().int().min(0).optional().describe("Only images with at most this many people (0 for none)"),
+        date: z.string().optional().describe("Only search images from this day (e.g., '2025-05-17', 'today', 'yesterday')"),
+        from,
+        to,
+        limit: z.number().int().min(1).max(500).optional().describe("Maximum number of images returned (default: 50)")
+      },
+      (params) => ImageService.findImages(params)
+    );
+
+    this.registerTool(
+      "summarize_period",
+      "Returns precomputed summaries of each day or hour in a period: what happened, key topics, people mentioned and ids of notable images. Cheaper and broader than context_query for overviews such as 'what happened today?'",
+      {
+        date: z.string().optional().describe("Only summarize this day (e.g., '2025-05-17', 'today', 'yesterday')"),
+        from,
+        to,
+        granularity: z.enum(["day", "hour"]).optional().describe("One summary per day or per hour (default: day)")
+      },
+      (params) => SummaryService.summarizePeriod(params)
+    );
+
+    this.registerTool(
+      "list_conversations",
+      "Lists conversations (consecutive transcripts without a long silence in between) with their ids, titles, time spans and numbers of transcripts and images, oldest first",
+      {
+        date: z.string().optional().describe("Only list conversations from this day (e.g., '2025-05-17', 'today', 'yesterday')"),
+        from,
+        to
+      },
+      (params) => ConversationService.listConversations(params)
+    );
+
+    this.registerTool(
+      "get_conversation",
+      "Returns one conversation: its title, all its transcripts in order and the descriptions of images captured during it",
+      { id: conversationId },
+      (params) => ConversationService.getConversation(params)
+    );
+
+    this.registerTool(
+      "list_action_items",
+      "Lists action items (commitments, tasks and reminders such as 'I'll send the deck Friday') found in recorded conversations, with owner, due date, status and the transcript they were said in. Soonest due first",
+      {
+        status: z.enum(["all", ...ACTION_ITEM_STATUSES]).optional().describe("Only list items with this status (default: open)"),
+        owner: z.string().min(1).optional().describe("Only list items whose owner contains this (e.g., 'Dana'; 'speaker' for commitments of an unnamed speaker)"),
+        date: z.string().optional().describe("Only list items said on this day (e.g., '2025-05-17', 'today', 'yesterday')"),
+        from: from.describe("Only list items said from this time on. Same formats as context_query"),
+        to: to.describe("Only list items said up to this time")
+      },
+      (params) => ActionItemService.listActionItems(params)
+    );
+
+    this.registerTool(
+      "update_action_item",
+      "Updates an action item, e.g. marks it done or dismissed, assigns an owner or sets a due date",
+      {
+        id: z.string()
+          .refine(isActionItemId, "Expected an action item id as returned by list_action_items")
+          .describe("Action item id as returned by list_action_items (e.g., 'a-20250517T024024123Z-3f9a1c-1')"),
+        status: z.enum(ACTION_ITEM_STATUSES).optional().describe("New status"),
+        owner: z.string().nullable().optional().describe("Who is to do it; null if unknown"),
+        due: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Expected a date like 2025-05-23").nullable().optional().describe("Due date (YYYY-MM-DD); null for none"),
+        text: z.string().min(1).optional().describe("What is to be done"),
+        note: z.string().nullable().optional().describe("A note, e.g. how it was done; null to remove it")
+      },
+      (params) => ActionItemService.updateActionItem(params),
+      { idempotentHint: true }
+    );
+
+    this.registerTool(
+      "name_speaker",
+      "Names a speaker label of a conversation's transcripts (e.g., 'speaker 2 is Alex'), so transcripts, answers and the speaker filters use the name. get_conversation lists the labels",
+      {
+        conversation_id: conversationId,
+        label: z.string().min(1).describe("Speaker label as shown by get_conversation (e.g., 'speaker 2')"),
+        name: z.string().min(1).nullable().describe("The speaker's name (e.g., 'Alex'); null removes the name")
+      },
+      (params) => ConversationService.nameSpeaker(params),
+      { idempotentHint: true }
+    );
+
+    this.registerTool(
+      "get_transcript",
+      "Returns the full text of one recorded transcript",
+      { id },
+      (params) => RecordingService.getTranscript(params)
+    );
+
+    this.registerTool(
+      "get_image",
+      "Returns one camera image and its description",
+      { id },
+      (params) => RecordingService.getImage(params)
+    );
+
+    this.registerTool(
+      "forget",
+      "Permanently deletes recordings by id or time range (e.g., 'forget the last 10 minutes'). Without confirm=true it only lists what would be deleted; always show that to the user and get explicit confirmation first",
+      {
+        id: id.optional(),
+        from: from.describe("Delete recordings from this time on. Same formats as context_query (e.g., 'last 10 minutes', 'yesterday')"),
+        to: to.describe("Delete recordings up to this time (default: now)"),
+        type: z.enum(["all", "transcript", "image"]).optional().describe("Only delete this type of recording (default: all)"),
+        confirm: z.boolean().optional().describe("Must be true to actually delete; only set it after the user confirmed the preview"),
+        confirm_token: z.string().optional().describe("The token from the preview; required with confirm=true")
+      },
+      (params) => ForgetService.forget(params),
+      { destructiveHint: true, idempotentHint: true }
+    );
+  }
+
+  registerTool(name, description, paramsSchema, handler, annotations) {
+    const callback = async (params) => {
+      try {
+        return await handler(params);
+      } catch (error) {
+        await Logger.logError(`Error in ${name}: ${error.message}\n${error.stack}`);
+        throw error;
+      }
+    };
+
+    // The SDK takes an empty annotations object for a params schema, so only pass real ones
+    if (annotations) {
+      this.server.tool(name, description, paramsSchema, annotations, callback);
+    } else {
+      this.server.tool(name, description, paramsSchema, callback);
+    }
+  }
+
+  async connect(transport) {
+    await this.server.connect(transport);
+  }
+
+  async close() {
+    this.stopWatching?.();
+    for (const timer of this.notificationTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.notificationTimers.clear();
+    await this.server.close();
+  }
+
+  async start() {
+    try {
+      await logStartup("MCP STDIO SERVER STARTING");
+
+      const transport = new StdioServerTransport();
+      await this.connect(transport);
+      await Logger.logToFile("MCP Server listening on stdio transport");
+      await Logger.logToFile("Ready for Claude Desktop connections");
+    } catch (error) {
+      await Logger.logError(`Error during startup: ${error.message}\n${error.stack}`);
+      process.exit(1);
+    }
+  }
+}
+
+// ============================================================================
+// HTTP Transport
+// ============================================================================
+
+/**
+ * Serves MCP over Streamable HTTP (/mcp) and the older HTTP+SSE transport
+ * (GET /sse + POST /messages) for clients that don't support it yet.
+ * Every session gets its own MCPServer.
+ */
+class HttpTransportHost {
+  constructor() {
+    // sessionId -> { transport, server, lastSeen }
+    this.sessions = new Map();
+    this.httpServer = createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  async start() {
+    try {
+      await logStartup("MCP HTTP SERVER STARTING");
+
+      const { host, port, token, sessionIdleMs } = CONFIG.transport;
+      if (!token && !isLoopbackHost(host)) {
+        throw new Error(`MCP_HTTP_TOKEN must be set to listen on ${host}; only loopback addresses may go without it`);
+      }
+
+      await new Promise((resolve, reject) => {
+        this.httpServer.once('error', reject);
+        this.httpServer.listen(port, host, resolve);
+      });
+
+      setInterval(() => this.closeIdleSessions(), Math.min(sessionIdleMs, 60 * 1000)).unref();
+
+      await Logger.logToFile(`MCP Server listening on http://${host}:${port}/mcp (SSE fallback: /sse)`);
+    } catch (error) {
+      await Logger.logError(`Error during startup: ${error.message}\n${error.stack}`);
+      process.exit(1);
+    }
+  }
+
+  async handleRequest(req, res) {
+    let pathname, searchParams;
+    try {
+      // Only the path matters; a fixed base keeps a bad Host header from throwing
+      ({ pathname, searchParams } = new URL(req.url, 'http://localhost'));
+    } catch {
+      this.sendError(res, 400, 'Invalid request URL');
+      return;
+    }
+
+    try {
+      const forbidden = this.checkOrigin(req);
+      if (forbidden) {
+        this.sendError(res, 403, forbidden);
+        return;
+      }
+
+      if (!this.isAuthorized(req)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        this.sendError(res, 401, 'Unauthorized');
+        return;
+      }
+
+      if (pathname === '/mcp') {
+        await this.handleStreamableRequest(req, res);
+        return;
+      }
+
+      if (req.method === 'GET' && pathname === '/sse') {
+        await this.handleSSEConnect(res);
+        return;
+      }
+
+      if (req.method === 'POST' && pathname === '/messages') {
+        await this.handleSSEMessage(req, res, searchParams.get('sessionId'));
+        return;
+      }
+
+      this.sendError(res, 404, 'Not found');
+    } catch (error) {
+      await Logger.logError(`Error handling ${req.method} ${pathname}: ${error.message}\n${error.stack}`);
+      if (!res.headersSent) {
+        this.sendError(res, 500, 'Internal server error');
+      }
+    }
+  }
+
+  async handleStreamableRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const session = sessionId ? this.sessions.get(sessionId) : undefined;
+
+    if (session) {
+      if (!(session.transport instanceof StreamableHTTPServerTransport)) {
+        this.sendError(res, 400, 'Session belongs to the SSE transport');
+        return;
+      }
+
+      session.lastSeen = Date.now();
+      const body = await this.readBody(req, res);
+      if (body === null) return;
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (sessionId) {
+      this.sendError(res, 404, 'Session not found');
+      return;
+    }
+
+    // Without a session id only an initialize request may open a new session
+    const body = await this.readBody(req, res);
+    if (body === null) return;
+    if (!isInitializeRequest(body)) {
+      this.sendError(res, 400, 'No valid session ID provided');
+      return;
+    }
+
+    const server = MCPServer.create();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        this.sessions.set(id, { transport, server, lastSeen: Date.now() });
+        Logger.logToFile(`HTTP session opened: ${id}`);
+      }
+    });
+    server.onclose = () => this.forgetSession(transport.sessionId);
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async handleSSEConnect(res) {
+    const server = MCPServer.create();
+    const transport = new SSEServerTransport('/messages', res);
+    this.sessions.set(transport.sessionId, { transport, server, lastSeen: Date.now() });
+    server.onclose = () => this.forgetSession(transport.sessionId);
+
+    await server.connect(transport);
+    await Logger.logToFile(`SSE session opened: ${transport.sessionId}`);
+  }
+
+  async handleSSEMessage(req, res, sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !(session.transport instanceof SSEServerTransport)) {
+      this.sendError(res, 404, 'Session not found');
+      return;
+    }
+
+    session.lastSeen = Date.now();
+    const body = await this.readBody(req, res);
+    if (body === null) return;
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  /**
+   * Guards against DNS rebinding, where a web page makes a name of its own
+   * resolve to this machine: browsers send that page's Origin and name as
+   * Host. Requests from other origins than loopback and
+   * CONFIG.transport.allowedOrigins are refused, and on a loopback bind so
+   * are Host names that aren't loopback ones.
+   * @returns {string | null} – why the request is refused, or null
+   */
+  checkOrigin(req) {
+    const { origin } = req.headers;
+    if (origin !== undefined && !CONFIG.transport.allowedOrigins.includes(origin)
+        && !isLoopbackHost(hostnameOf(origin))) {
+      return `Origin not allowed: ${origin}`;
+    }
+
+    if (isLoopbackHost(CONFIG.transport.host) && !isLoopbackHost(hostnameOf(`http://${req.headers.host}`))) {
+      return 'Host header must name a loopback address';
+    }
+    return null;
+  }
+
+  /**
+   * Whether the request carries CONFIG.transport.token (constant-time
+   * comparison); any request passes when no token is configured.
+   */
+  isAuthorized(req) {
+    const { token } = CONFIG.transport;
+    if (!token) return true;
+
+    const match = req.headers.authorization?.match(/^Bearer\s+(\S+)$/i);
+    if (!match) return false;
+
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(token);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Parses a POST body; answers with 413 if it exceeds CONFIG.transport.maxBodyBytes
+   * or a JSON-RPC parse error if it isn't JSON, and returns null in both cases.
+   */
+  async readBody(req, res) {
+    if (req.method !== 'POST') return undefined;
+
+    const { maxBodyBytes } = CONFIG.transport;
+    const chunks = [];
+    let size = Number(req.headers['content-length']) || 0;
+    if (size <= maxBodyBytes) {
+      size = 0;
+      for await (const chunk of req) {
+        size += chunk.length;
+        if (size > maxBodyBytes) break;
+        chunks.push(chunk);
+      }
+    }
+
+    if (size > maxBodyBytes) {
+      res.setHeader('Connection', 'close');
+      this.sendError(res, 413, `Request body exceeds ${maxBodyBytes} bytes`);
+      return null;
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32700, message: 'Parse error' }, id: null }));
+      return null;
+    }
+  }
+
+  forgetSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    this.sessions.delete(sessionId);
+    session.server.close().catch(err =>
+      Logger.logError(`Error closing session ${sessionId}: ${err.message}`)
+    );
+    Logger.logToFile(`Session closed: ${sessionId}`);
+  }
+
+  closeIdleSessions() {
+    const cutoff = Date.now() - CONFIG.transport.sessionIdleMs;
+    for (const [sessionId, session] of this.sessions) {
+      if (session.lastSeen < cutoff) {
+        // Closing the transport triggers onclose -> forgetSession
+        session.server.close().catch(err =>
+          Logger.logError(`Error closing idle session ${sessionId}: ${err.message}`)
+        );
+      }
+    }
+  }
+
+  sendError(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      jsonrpc: '2.0',
+      error: { code: -32000, message },
+      id: null
+    }));
+  }
+}
+
+/**
+ * Whether a bind address only accepts connections from this machine.
+ */
+function isLoopbackHost(host) {
+  return host === 'localhost' || host === '::1' || host === '[::1]' || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+/**
+ * The host name of a URL, or null if it isn't one.
+ */
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================================
+// Application Entry Point
+// ============================================================================
+
+async function logStartup(title) {
+  // Initialize the log file with a startup entry
+  const startupMessage = "====================================\n" +
+                        `${title}\n` +
+                        `Timestamp: ${new Date().toISOString()}\n` +
+                        "====================================";
+  await Logger.logToFile(startupMessage);
+}
+
+async function main() {
+  try {
+    // Initialize logging
+    await Logger.initialize();
+
+    // Follow the capture store and build the search index before accepting queries
+    await FileService.loadRedactor();
+    await RecordingWatcher.start();
+    await SearchIndex.initialize();
+    
+    // Create and start server
+    if (CONFIG.transport.mode === 'http') {
+      await new HttpTransportHost().start();
+    } else {
+      await MCPServer.create().start();
+    }
   } catch (error) {
     try {
       await Logger.logError(`Fatal error in main(): ${error.message}\n${error.stack}`);
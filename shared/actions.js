@@ -0,0 +1,98 @@
+// actions.js – Action items found in transcripts, shared by web-server and
+// mcp-server
+// ---------------------------------------------------------------
+// Once a conversation is closed (see ./conversations.js), the web-server asks
+// a model for the commitments, tasks and reminders in its new transcripts
+// ("I'll send the deck Friday") and keeps them in actions.json:
+//
+//   { items: [action item, ...], extractedIds: [transcript capture IDs] }
+//
+//   extractedIds lists the transcripts already looked at, so each is sent
+//   to the model once.
+//
+//   Action item:
+//     id          – "a-" + ID of its source transcript + "-" + number,
+//                   e.g. a-20250517T024024123Z-3f9a1c-1
+//     text        – what is to be done, e.g. "Send Dana the slide deck"
+//     owner       – who is to do it, as named in the conversation; "speaker"
+//                   for an unnamed speaker's own commitment; null if unclear
+//     due         – local due date, e.g. "2025-05-23"; null if none was named
+//     dueText     – the due date as said, e.g. "Friday"
+//     sourceId    – capture ID of the transcript it was said in
+//     capturedAt  – that transcript's capture time (ISO 8601 UTC)
+//     status      – "open" | "done" | "dismissed"
+//     note        – set when updating the item, null otherwise
+//     createdAt, updatedAt – ISO 8601 UTC
+//
+// The web-server is the only writer, for its extraction job and for updates
+// through PATCH /actions/{id}; it replaces the whole file each time. Items go
+// when their source transcript is deleted.
+// ---------------------------------------------------------------
+
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { isCaptureId } from './captures.js';
+
+export const ACTION_ITEM_STATUSES = ['open', 'done', 'dismissed'];
+
+/**
+ * Whether a string has the shape of an action item ID.
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isActionItemId(id) {
+  const match = /^a-(.+)-(\d+)$/.exec(id);
+  return match !== null && isCaptureId(match[1]);
+}
+
+export class ActionItemStore {
+  /**
+   * @param {string} file – path of the JSON file
+   */
+  constructor(file) {
+    this.file = file;
+  }
+
+  /**
+   * @returns {Promise<{ items: object[], extractedIds: string[] }>}
+   */
+  async load() {
+    try {
+      return JSON.parse(await readFile(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return { items: [], extractedIds: [] };
+      throw err;
+    }
+  }
+
+  /**
+   * Replaces the file atomically, so readers never see a partial list.
+   * @param {{ items: object[], extractedIds: string[] }} content
+   */
+  async save(content) {
+    const tmpPath = `${this.file}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(content, null, 2), 'utf8');
+    await rename(tmpPath, this.file);
+  }
+
+  /**
+   * Lists action items said in the time range, oldest first.
+   * @param {{ from?: Date | null, to?: Date | null, status?: string }} filter
+   */
+  async list({ from = null, to = null, status } = {}) {
+    return (await this.load()).items
+      .filter((item) => !status || item.status === status)
+      .filter((item) => {
+        const capturedAt = new Date(item.capturedAt);
+        return (!from || capturedAt >= from) && (!to || capturedAt <= to);
+      })
+      .sort((a, b) => a.capturedAt.localeCompare(b.capturedAt) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<object | undefined>}
+   */
+  async get(id) {
+    return (await this.load()).items.find((item) => item.id === id);
+  }
+}
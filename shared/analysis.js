@@ -0,0 +1,129 @@
+// analysis.js – Structured image analysis, shared by web-server and mcp-server
+// ---------------------------------------------------------------
+// Besides its free-text description, every image gets a JSON sidecar
+// (images/{id}.json, the record's files.analysis) with what a vision model
+// found in it. The web-server asks the model for IMAGE_ANALYSIS_SCHEMA and
+// only stores replies that pass parseAnalysis(); the mcp-server filters
+// images by the sidecars without another model call.
+//
+//   Sidecar:
+//     version      – ANALYSIS_VERSION
+//     caption      – one sentence
+//     sceneType    – short lowercase label, e.g. "office", "street", "screen"
+//     objects      – [{ name, count }] lowercase singular names, most
+//                    prominent first
+//     text         – legible text in the image (OCR), one entry per line
+//     peopleCount  – number of people visible
+//     analyzedAt   – ISO 8601 UTC
+// ---------------------------------------------------------------
+
+export const ANALYSIS_VERSION = 1;
+
+// JSON Schema of the model's reply; it's included in the prompt as is
+export const IMAGE_ANALYSIS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['caption', 'sceneType', 'objects', 'text', 'peopleCount'],
+  properties: {
+    caption: { type: 'string', minLength: 1, maxLength: 300 },
+    sceneType: { type: 'string', minLength: 1, maxLength: 50 },
+    objects: {
+      type: 'array',
+      maxItems: 50,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name', 'count'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          count: { type: 'integer', minimum: 1 }
+        }
+      }
+    },
+    text: {
+      type: 'array',
+      maxItems: 100,
+      items: { type: 'string', minLength: 1, maxLength: 1000 }
+    },
+    peopleCount: { type: 'integer', minimum: 0 }
+  }
+};
+
+/**
+ * Checks a value against the subset of JSON Schema that
+ * IMAGE_ANALYSIS_SCHEMA uses (type, required, properties,
+ * additionalProperties, items, maxItems, minLength, maxLength, minimum).
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} at – path of the value, for messages
+ * @returns {string[]} – problems found, empty if the value is valid
+ */
+export function validateSchema(schema, value, at = '$') {
+  const actual = Array.isArray(value) ? 'array'
+    : value === null ? 'null'
+    : Number.isInteger(value) ? 'integer'
+    : typeof value;
+  const matchesType = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+  if (!matchesType) return [`${at} must be of type ${schema.type}`];
+
+  const problems = [];
+  switch (schema.type) {
+    case 'object':
+      for (const key of schema.required ?? []) {
+        if (!(key in value)) problems.push(`${at}.${key} is missing`);
+      }
+      for (const [key, item] of Object.entries(value)) {
+        if (schema.properties?.[key]) {
+          problems.push(...validateSchema(schema.properties[key], item, `${at}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          problems.push(`${at}.${key} is not allowed`);
+        }
+      }
+      break;
+
+    case 'array':
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        problems.push(`${at} must have at most ${schema.maxItems} items`);
+      }
+      value.forEach((item, index) => problems.push(...validateSchema(schema.items, item, `${at}[${index}]`)));
+      break;
+
+    case 'string':
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        problems.push(`${at} must not be empty`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        problems.push(`${at} must be at most ${schema.maxLength} characters`);
+      }
+      break;
+
+    case 'integer':
+    case 'number':
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        problems.push(`${at} must be at least ${schema.minimum}`);
+      }
+      break;
+  }
+  return problems;
+}
+
+/**
+ * Validates a model's analysis reply and normalizes it for storage.
+ * @param {*} value – the parsed reply
+ * @returns {object} – caption, sceneType, objects, text and peopleCount
+ * @throws {Error} – with `problems` listing what's wrong
+ */
+export function parseAnalysis(value) {
+  const problems = validateSchema(IMAGE_ANALYSIS_SCHEMA, value);
+  if (problems.length > 0) {
+    throw Object.assign(new Error(`Invalid image analysis: ${problems.join('; ')}`), { problems });
+  }
+
+  return {
+    caption: value.caption.trim(),
+    sceneType: value.sceneType.trim().toLowerCase(),
+    objects: value.objects.map(({ name, count }) => ({ name: name.trim().toLowerCase(), count })),
+    text: value.text.map((line) => line.trim()),
+    peopleCount: value.peopleCount
+  };
+}
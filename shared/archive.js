@@ -0,0 +1,310 @@
+// archive.js – Memory archives written and read by the web-server
+// ---------------------------------------------------------------
+// `node index.js export` / GET /media/export package the captures of a time
+// range into one gzipped tar file, which `node index.js import` /
+// POST /media/import read back, e.g. on another machine. Any tar tool can
+// open it:
+//
+//   manifest.json                    – see below
+//   captures/{id}/text.txt           – transcript or image description
+//   captures/{id}/image.{ext}        – the image
+//   captures/{id}/analysis.json      – structured image analysis (see ./analysis.js)
+//   captures/{id}/segments.json      – transcript speaker segments (see ./speakers.js)
+//
+//   Manifest:
+//     format      – ARCHIVE_FORMAT
+//     version     – ARCHIVE_VERSION; readers refuse newer versions
+//     createdAt   – ISO 8601 UTC
+//     range       – { from, to, type } the archive was exported for (null: open)
+//     captures    – oldest first:
+//       id          – capture ID (see ./captures.js)
+//       type        – "transcript" | "image"
+//       capturedAt  – ISO 8601 UTC
+//       seenUntil   – images: end of the time span of merged similar frames
+//       mediaType   – "text/plain" for transcripts, e.g. "image/jpeg" for images
+//       description – images: the description, if there is one yet
+//       keywords    – images: short keywords, if found yet
+//       files       – { text?, image?, analysis?, segments? }, each
+//                     { path, size, sha256 }
+//
+// Texts are archived as stored, i.e. with the storage redaction stage
+// applied; the vault with the originals stays on the machine that has its key.
+// ---------------------------------------------------------------
+
+import { open, mkdir } from 'node:fs/promises';
+import { once } from 'node:events';
+import { pipeline } from 'node:stream/promises';
+import { createGzip, createGunzip } from 'node:zlib';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { isCaptureId } from './captures.js';
+
+export const ARCHIVE_FORMAT = 'memories-archive';
+export const ARCHIVE_VERSION = 2;
+
+const BLOCK_SIZE = 512;
+const IMAGE_MEDIA_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+/**
+ * @param {Buffer} data
+ * @returns {string} – hex SHA-256
+ */
+export function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+// ============================================================================
+// Tar
+// ============================================================================
+
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  const field = (value, offset, length) => header.write(value, offset, length, 'utf8');
+  const octal = (value, length) => value.toString(8).padStart(length - 1, '0');
+
+  field(name, 0, 100);
+  field(octal(0o644, 8), 100, 8);
+  field(octal(0, 8), 108, 8);
+  field(octal(0, 8), 116, 8);
+  field(octal(size, 12), 124, 12);
+  field(octal(Math.floor(mtime.getTime() / 1000), 12), 136, 12);
+  // The checksum counts its own field as spaces
+  field(' '.repeat(8), 148, 8);
+  field('0', 156, 1);
+  field('ustar\0' + '00', 257, 8);
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  field(`${octal(checksum, 7)}\0`, 148, 8);
+  return header;
+}
+
+function parseTarHeader(header) {
+  const text = (offset, length) => {
+    const value = header.toString('utf8', offset, offset + length);
+    const end = value.indexOf('\0');
+    return end === -1 ? value : value.slice(0, end);
+  };
+  const octal = (offset, length) => parseInt(text(offset, length).trim() || '0', 8);
+
+  const stored = octal(148, 8);
+  let checksum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    checksum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  if (stored !== checksum) throw new Error('Corrupt tar header (checksum mismatch)');
+
+  const prefix = text(257, 6) === 'ustar' ? text(345, 155) : '';
+  const name = text(0, 100);
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    size: octal(124, 12),
+    // "0" and NUL are regular files
+    isFile: header[156] === 0x30 || header[156] === 0
+  };
+}
+
+/**
+ * Writes entries as a gzipped tar file.
+ * @param {import('node:stream').Writable} output
+ * @param {AsyncIterable<{ name: string, data: Buffer, mtime?: Date }>} entries
+ */
+export async function writeArchive(output, entries) {
+  const gzip = createGzip();
+  const done = pipeline(gzip, output);
+  const write = async (data) => {
+    if (!gzip.write(data)) await once(gzip, 'drain');
+  };
+
+  try {
+    for await (const { name, data, mtime = new Date() } of entries) {
+      if (Buffer.byteLength(name) > 100) throw new Error(`Archive entry name too long: ${name}`);
+
+      await write(tarHeader(name, data.length, mtime));
+      await write(data);
+      const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+      if (padding > 0) await write(Buffer.alloc(padding));
+    }
+    // Two empty blocks end the archive
+    await write(Buffer.alloc(2 * BLOCK_SIZE));
+    gzip.end();
+  } catch (err) {
+    gzip.destroy(err);
+  }
+  await done;
+}
+
+/**
+ * Extracts the files of a gzipped tar stream into dir, hashing them on the way.
+ * @param {import('node:stream').Readable} input
+ * @param {string} dir – an empty directory
+ * @param {{ maxBytes: number }} limits – total size of the extracted files
+ * @returns {Promise<Map<string, { file: string, size: number, sha256: string }>>}
+ *   – by entry name
+ * @throws {Error} – with code "ARCHIVE_TOO_LARGE" past maxBytes; any other
+ *   error means the archive is corrupt or not a gzipped tar file
+ */
+export async function extractArchive(input, dir, { maxBytes }) {
+  const entries = new Map();
+  let total = 0;
+  let header = Buffer.alloc(0);
+  // The entry being extracted, and padding left to skip after it
+  let entry = null;
+  let skip = 0;
+  let ended = false;
+
+  const startEntry = async ({ name, size, isFile }) => {
+    // Directories, links and pax headers are skipped, but have their size in blocks too
+    if (!isFile) {
+      entry = { name, size, remaining: size, handle: null };
+      return;
+    }
+    if (!/^[\w.-]+(\/[\w.-]+)*$/.test(name) || name.split('/').some((part) => /^\.+$/.test(part))) {
+      throw new Error(`Invalid archive entry name: ${name}`);
+    }
+    if (entries.has(name)) throw new Error(`Duplicate archive entry: ${name}`);
+
+    total += size;
+    if (total > maxBytes) {
+      throw Object.assign(new Error(`Archive contents exceed ${maxBytes} bytes`), { code: 'ARCHIVE_TOO_LARGE' });
+    }
+
+    const file = path.join(dir, name);
+    await mkdir(path.dirname(file), { recursive: true });
+    entry = { name, file, size, remaining: size, handle: await open(file, 'wx'), hash: createHash('sha256') };
+  };
+
+  const finishEntry = async () => {
+    if (entry.handle) {
+      await entry.handle.close();
+      entries.set(entry.name, { file: entry.file, size: entry.size, sha256: entry.hash.digest('hex') });
+    }
+    skip = (BLOCK_SIZE - (entry.size % BLOCK_SIZE)) % BLOCK_SIZE;
+    entry = null;
+  };
+
+  try {
+    await pipeline(input, createGunzip(), async (source) => {
+      for await (const chunk of source) {
+        let offset = 0;
+        while (offset < chunk.length && !ended) {
+          if (entry) {
+            const data = chunk.subarray(offset, offset + entry.remaining);
+            offset += data.length;
+            entry.remaining -= data.length;
+            if (entry.handle) {
+              entry.hash.update(data);
+              await entry.handle.write(data);
+            }
+            if (entry.remaining === 0) await finishEntry();
+          } else if (skip > 0) {
+            const skipped = Math.min(skip, chunk.length - offset);
+            offset += skipped;
+            skip -= skipped;
+          } else {
+            const needed = BLOCK_SIZE - header.length;
+            header = Buffer.concat([header, chunk.subarray(offset, offset + needed)]);
+            offset += Math.min(needed, chunk.length - offset);
+            if (header.length < BLOCK_SIZE) continue;
+
+            const block = header;
+            header = Buffer.alloc(0);
+            if (block.every((byte) => byte === 0)) {
+              ended = true;
+              continue;
+            }
+
+            await startEntry(parseTarHeader(block));
+            if (entry.size === 0) await finishEntry();
+          }
+        }
+      }
+    });
+  } finally {
+    await entry?.handle?.close();
+  }
+
+  if (!ended) throw new Error('The archive ends early');
+  return entries;
+}
+
+// ============================================================================
+// Manifest
+// ============================================================================
+
+/**
+ * Validates an archive's manifest: every capture ID and file path is listed
+ * once. The files it lists are checked against the archive by the caller.
+ * @param {*} manifest – the parsed manifest.json
+ * @returns {object} – the manifest
+ * @throws {Error} – with `problems` listing what's wrong
+ */
+export function parseManifest(manifest) {
+  const problems = [];
+
+  if (manifest?.format !== ARCHIVE_FORMAT) {
+    problems.push(`format must be "${ARCHIVE_FORMAT}"`);
+  } else if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+    problems.push('version must be a positive integer');
+  } else if (manifest.version > ARCHIVE_VERSION) {
+    problems.push(`version ${manifest.version} is newer than this server reads (${ARCHIVE_VERSION})`);
+  } else if (!Array.isArray(manifest.captures)) {
+    problems.push('captures must be an array');
+  } else {
+    const ids = new Set();
+    const paths = new Set();
+    manifest.captures.forEach((capture, index) => {
+      problems.push(...captureProblems(capture, `captures[${index}]`));
+      if (ids.has(capture?.id)) problems.push(`captures[${index}].id ${capture.id} is listed twice`);
+      ids.add(capture?.id);
+
+      // Each file is moved into place by the capture that lists it
+      for (const [role, file] of Object.entries(capture?.files ?? {})) {
+        if (typeof file?.path !== 'string') continue;
+        if (paths.has(file.path)) problems.push(`captures[${index}].files.${role}.path ${file.path} is listed twice`);
+        paths.add(file.path);
+      }
+    });
+  }
+
+  if (problems.length > 0) {
+    throw Object.assign(new Error(`Invalid archive manifest: ${problems.slice(0, 10).join('; ')}`), { problems });
+  }
+  return manifest;
+}
+
+function captureProblems(capture, at) {
+  if (typeof capture !== 'object' || capture === null) return [`${at} must be an object`];
+
+  const problems = [];
+  if (!isCaptureId(capture.id)) problems.push(`${at}.id is not a capture ID`);
+  if (typeof capture.capturedAt !== 'string' || Number.isNaN(Date.parse(capture.capturedAt))) {
+    problems.push(`${at}.capturedAt must be an ISO 8601 date/time`);
+  }
+  if (capture.keywords !== undefined &&
+    !(Array.isArray(capture.keywords) && capture.keywords.every((keyword) => typeof keyword === 'string'))) {
+    problems.push(`${at}.keywords must be an array of strings`);
+  }
+  if (capture.seenUntil !== undefined && (typeof capture.seenUntil !== 'string' || Number.isNaN(Date.parse(capture.seenUntil)))) {
+    problems.push(`${at}.seenUntil must be an ISO 8601 date/time`);
+  }
+
+  const files = capture.files ?? {};
+  if (capture.type === 'transcript') {
+    if (capture.mediaType !== 'text/plain') problems.push(`${at}.mediaType must be text/plain`);
+    if (!files.text) problems.push(`${at}.files.text is missing`);
+  } else if (capture.type === 'image') {
+    if (!IMAGE_MEDIA_TYPES.includes(capture.mediaType)) problems.push(`${at}.mediaType must be one of ${IMAGE_MEDIA_TYPES.join(', ')}`);
+    if (!files.image) problems.push(`${at}.files.image is missing`);
+  } else {
+    problems.push(`${at}.type must be "transcript" or "image"`);
+  }
+
+  for (const [role, file] of Object.entries(files)) {
+    const valid = ['text', 'image', 'analysis', 'segments'].includes(role) &&
+      typeof file?.path === 'string' &&
+      Number.isInteger(file.size) && file.size >= 0 &&
+      /^[0-9a-f]{64}$/.test(file.sha256);
+    if (!valid) problems.push(`${at}.files.${role} must be { path, size, sha256 }`);
+  }
+  return problems;
+}
@@ -0,0 +1,273 @@
+// captures.js – Capture metadata store shared by web-server and mcp-server
+// ---------------------------------------------------------------
+// Every transcript or image the web-server receives gets a unique capture ID
+// and one record in an append-only JSONL file (web-server/captures.jsonl).
+// Each line is a complete snapshot of a record; the last line for an ID wins.
+// Deleting appends a tombstone ({ id, deleted: true }); compact() then
+// rewrites the file without deleted records so nothing of them remains.
+//
+//   Record:
+//     id          – time-sortable unique ID, e.g. 20250517T024024123Z-3f9a1c
+//     capturedAt  – capture time, ISO 8601 UTC
+//     type        – "transcript" | "image"
+//     files       – { text?, image?, vault? } paths relative to the store's directory
+//     mediaType   – "text/plain" for transcripts, e.g. "image/jpeg" for images
+//     status      – processing status ("stored", "described", "failed", ...)
+//     error       – last processing error, if any
+//     source      – { deviceId, idempotencyKey? } of the upload, or
+//                   { importedAt, archiveCreatedAt } (see ./archive.js)
+//     updatedAt   – when this snapshot was written, ISO 8601 UTC
+//
+//   Transcripts may also have:
+//     speakers    – distinct speaker labels of its segments
+//     files.segments, files.segmentsVault
+//                 – speaker segments sidecar (see ./speakers.js)
+//
+//   Images also have:
+//     phash       – 64-bit difference hash (16 hex digits), if decodable
+//     dedup       – { decision, comparedTo, distance } from the upload
+//     seenUntil   – capture time of the last near-duplicate frame merged
+//                   into this one; the capture spans capturedAt..seenUntil
+//     duplicates  – number of merged near-duplicate frames
+//     files.analysis, files.analysisVault
+//                 – structured analysis sidecar (see ./analysis.js)
+//     analysisError – why the model's analysis was discarded, if it was
+//
+// The web-server is the only writer. Readers (mcp-server) call refresh() to
+// pick up lines appended since the last read, or the whole file again after
+// it was compacted.
+// ---------------------------------------------------------------
+
+import { readFile, appendFile, writeFile, rename, stat } from 'node:fs/promises';
+import { randomBytes } from 'node:crypto';
+import path from 'node:path';
+
+const MEDIA_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+/**
+ * Generates a unique capture ID: UTC time with millisecond precision plus a
+ * random suffix, so IDs sort by capture time and never collide.
+ * Example: 20250517T024024123Z-3f9a1c
+ * @param {Date} date – capture time (defaults to now)
+ * @returns {string}
+ */
+export function createCaptureId(date = new Date()) {
+  const time = date.toISOString().replace(/[-:]/g, '').replace('.', '');
+  return `${time}-${randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Whether a string has the shape of a capture ID (also accepts the legacy
+ * second-precision names like 2025-05-17-02-40-24). Use it before building
+ * file paths from untrusted input.
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isCaptureId(id) {
+  return /^(\d{8}T\d{9}Z-[0-9a-f]{6}|\d{4}-\d{2}-\d{2}-\d{2}-\d{2}-\d{2})$/.test(id);
+}
+
+/**
+ * @param {string} filename – e.g. "photo.JPG"
+ * @returns {string} – e.g. "image/jpeg"
+ */
+export function mediaTypeForFilename(filename) {
+  const ext = path.extname(filename).toLowerCase().substring(1);
+  return MEDIA_TYPES[ext] ?? `image/${ext}`;
+}
+
+/**
+ * @param {string} mediaType – e.g. "image/jpeg"
+ * @returns {string} – e.g. "jpeg"
+ */
+export function extensionForMediaType(mediaType) {
+  return mediaType.split('/')[1];
+}
+
+export class CaptureStore {
+  /**
+   * @param {string} file – path of the JSONL file
+   */
+  constructor(file) {
+    this.file = file;
+    this.dir = path.dirname(file);
+    /** @type {Map<string, object>} */
+    this.records = new Map();
+    // Bytes of the file already read; refresh() continues from here
+    this.offset = 0;
+    // Inode of the file read so far; compact() replaces the file
+    this.inode = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Reads the whole file (replacing anything loaded before).
+   */
+  async load() {
+    await this.enqueue(() => {
+      this.records.clear();
+      this.offset = 0;
+      return this.readAppended();
+    });
+  }
+
+  /**
+   * Reads lines appended since the last load/refresh.
+   * @returns {Promise<string[]>} – IDs of records that changed
+   */
+  refresh() {
+    return this.enqueue(() => this.readAppended());
+  }
+
+  // Reads and writes run one at a time, or two reads could consume the same lines
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async readAppended() {
+    let size, ino;
+    try {
+      ({ size, ino } = await stat(this.file));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    // A replaced (compacted) or truncated file has to be read from the start
+    if ((this.inode !== null && ino !== this.inode) || size < this.offset) {
+      const previous = [...this.records.keys()];
+      this.records.clear();
+      this.offset = 0;
+      this.inode = null;
+      const changed = await this.readAppended();
+      return [...new Set([...previous, ...changed])];
+    }
+    this.inode = ino;
+
+    if (size === this.offset) return [];
+
+    const buffer = await readFile(this.file);
+    const chunk = buffer.subarray(this.offset, size);
+
+    // Only consume complete lines; a line being appended is picked up next time
+    const end = chunk.lastIndexOf('\n');
+    if (end === -1) return [];
+    this.offset += end + 1;
+
+    const changed = [];
+    for (const line of chunk.subarray(0, end).toString('utf8').split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        const record = JSON.parse(line);
+        if (record.deleted) {
+          this.records.delete(record.id);
+        } else {
+          this.records.set(record.id, record);
+        }
+        changed.push(record.id);
+      } catch {
+        // Skip a corrupt line rather than losing the whole store
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object | undefined}
+   */
+  get(id) {
+    return this.records.get(id);
+  }
+
+  /**
+   * Lists records, oldest first.
+   * @param {{ type?: string, from?: Date | null, to?: Date | null }} filter
+   * @returns {object[]}
+   */
+  list({ type, from = null, to = null } = {}) {
+    return [...this.records.values()]
+      .filter(record => !type || record.type === type)
+      .filter(record => {
+        const capturedAt = new Date(record.capturedAt);
+        return (!from || capturedAt >= from) && (!to || capturedAt <= to);
+      })
+      .sort((a, b) => a.capturedAt.localeCompare(b.capturedAt) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Writes a new snapshot of a record (merged over the current one).
+   * @param {object} record – must contain `id`
+   * @returns {Promise<object>} – the stored record
+   */
+  put(record) {
+    // Queued so concurrent updates of one record merge in order
+    return this.enqueue(async () => {
+      const stored = {
+        ...this.records.get(record.id),
+        ...record,
+        updatedAt: new Date().toISOString()
+      };
+
+      const line = `${JSON.stringify(stored)}\n`;
+      await appendFile(this.file, line, 'utf8');
+      this.records.set(stored.id, stored);
+      this.offset += Buffer.byteLength(line);
+      return stored;
+    });
+  }
+
+  /**
+   * Deletes records by appending tombstones. Call compact() afterwards to
+   * drop them from the file.
+   * @param {string[]} ids
+   */
+  remove(ids) {
+    return this.enqueue(async () => {
+      const deletedAt = new Date().toISOString();
+      const lines = ids
+        .filter(id => this.records.has(id))
+        .map(id => `${JSON.stringify({ id, deleted: true, updatedAt: deletedAt })}\n`)
+        .join('');
+      if (!lines) return;
+
+      await appendFile(this.file, lines, 'utf8');
+      ids.forEach(id => this.records.delete(id));
+      this.offset += Buffer.byteLength(lines);
+    });
+  }
+
+  /**
+   * Rewrites the file with one line per live record, so deleted records and
+   * superseded snapshots are gone from disk.
+   */
+  compact() {
+    return this.enqueue(async () => {
+      const lines = [...this.records.values()].map(record => `${JSON.stringify(record)}\n`).join('');
+      const tmpPath = `${this.file}.tmp`;
+      await writeFile(tmpPath, lines, 'utf8');
+      await rename(tmpPath, this.file);
+
+      this.offset = Buffer.byteLength(lines);
+      this.inode = (await stat(this.file)).ino;
+    });
+  }
+
+  /**
+   * Absolute path of one of a record's files.
+   * @param {string} relativePath – e.g. record.files.image
+   * @returns {string}
+   */
+  resolve(relativePath) {
+    return path.join(this.dir, relativePath);
+  }
+}
@@ -0,0 +1,126 @@
+// conversations.js – Transcripts grouped into conversations, shared by
+// web-server and mcp-server
+// ---------------------------------------------------------------
+// Speech uploads every final utterance as its own transcript. Consecutive
+// transcripts less than a silence gap apart form one conversation; the
+// web-server keeps the result in conversations.json, together with the
+// images captured during each conversation and a generated title.
+//
+//   Conversation:
+//     id            – "c-" + ID of its first transcript
+//     start, end    – capture times of its first and last transcript (ISO 8601 UTC)
+//     transcriptIds – capture IDs, oldest first
+//     imageIds      – capture IDs of images captured between start and end,
+//                     give or take half a gap
+//     open          – whether it may still continue (the gap hasn't passed yet)
+//     title         – short generated title, null until the conversation is
+//                     closed
+//     titledAt      – when the title was generated
+//     speakers      – names given to the speaker labels of its transcripts,
+//                     by lowercase label (see ./speakers.js), e.g.
+//                     { "speaker 2": "Alex" }; kept when conversations are
+//                     re-segmented
+//
+// The web-server is the only writer; it replaces the whole file each time.
+// ---------------------------------------------------------------
+
+import { readFile, writeFile, rename } from 'node:fs/promises';
+
+/**
+ * Whether a string has the shape of a conversation ID.
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isConversationId(id) {
+  return /^c-(\d{8}T\d{9}Z-[0-9a-f]{6}|\d{4}-\d{2}-\d{2}-\d{2}-\d{2}-\d{2})$/.test(id);
+}
+
+/**
+ * Splits transcripts into conversations wherever two consecutive ones are
+ * more than `gapMs` apart. Images within half a gap of a conversation belong
+ * to it, so a single utterance gets the frames around it too; the margins of
+ * two conversations never overlap.
+ * @param {object[]} transcripts – capture records, oldest first
+ * @param {object[]} images – capture records, oldest first
+ * @param {number} gapMs
+ * @param {Date} now
+ * @returns {object[]} – conversations without titles, oldest first
+ */
+export function segmentConversations(transcripts, images, gapMs, now = new Date()) {
+  const segments = [];
+  let current = null;
+
+  for (const record of transcripts) {
+    const capturedAt = new Date(record.capturedAt);
+    if (!current || capturedAt - current.endDate > gapMs) {
+      current = { startDate: capturedAt, endDate: capturedAt, transcriptIds: [] };
+      segments.push(current);
+    }
+    current.endDate = capturedAt;
+    current.transcriptIds.push(record.id);
+  }
+
+  const marginMs = gapMs / 2;
+  return segments.map(({ startDate, endDate, transcriptIds }) => ({
+    id: `c-${transcriptIds[0]}`,
+    start: startDate.toISOString(),
+    end: endDate.toISOString(),
+    transcriptIds,
+    imageIds: images
+      .filter((image) => {
+        const capturedAt = new Date(image.capturedAt);
+        return capturedAt - startDate >= -marginMs && capturedAt - endDate <= marginMs;
+      })
+      .map((image) => image.id),
+    open: now - endDate <= gapMs
+  }));
+}
+
+export class ConversationStore {
+  /**
+   * @param {string} file – path of the JSON file
+   */
+  constructor(file) {
+    this.file = file;
+  }
+
+  /**
+   * @returns {Promise<object[]>} – conversations, oldest first
+   */
+  async load() {
+    try {
+      return JSON.parse(await readFile(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  /**
+   * Replaces the file atomically, so readers never see a partial list.
+   * @param {object[]} conversations
+   */
+  async save(conversations) {
+    const tmpPath = `${this.file}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(conversations, null, 2), 'utf8');
+    await rename(tmpPath, this.file);
+  }
+
+  /**
+   * Lists conversations that overlap the time range, oldest first.
+   * @param {{ from?: Date | null, to?: Date | null }} range
+   */
+  async list({ from = null, to = null } = {}) {
+    return (await this.load()).filter((conversation) =>
+      (!from || new Date(conversation.end) >= from) && (!to || new Date(conversation.start) <= to)
+    );
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<object | undefined>}
+   */
+  async get(id) {
+    return (await this.load()).find((conversation) => conversation.id === id);
+  }
+}
@@ -0,0 +1,132 @@
+// digests.js – Hourly and daily summaries shared by web-server and mcp-server
+// ---------------------------------------------------------------
+// The web-server's digest job summarizes the captures of every hour, and
+// the hour digests of every day, into one JSON file per period:
+//
+//   digests/hours/2025-05-17T14.json  – 14:00–15:00 local time
+//   digests/days/2025-05-17.json      – the whole local day
+//
+//   Digest:
+//     period          – "hour" | "day"
+//     key             – local period name, as in the file name
+//     start, end      – period bounds, ISO 8601 UTC (end exclusive)
+//     summary         – a few sentences on what happened
+//     topics          – key topics, most important first
+//     people          – people mentioned or seen
+//     notableImages   – [{ id, reason }] capture IDs of images worth opening
+//     sources         – what the digest was built from: capture IDs for an
+//                       hour, hour keys for a day
+//     sourceUpdatedAt – newest updatedAt/generatedAt among the sources
+//     generatedAt     – ISO 8601 UTC
+//
+// The web-server is the only writer; a digest is replaced whenever its
+// sources change and removed when its captures are deleted.
+// ---------------------------------------------------------------
+
+import { readFile, writeFile, readdir, rename, unlink, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+
+export const DIGEST_PERIODS = ['hour', 'day'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Local period name of a date, e.g. "2025-05-17T14" (hour) or "2025-05-17" (day).
+ * @param {'hour'|'day'} period
+ * @param {Date} date
+ * @returns {string}
+ */
+export function digestKey(period, date) {
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return period === 'hour' ? `${day}T${pad(date.getHours())}` : day;
+}
+
+/**
+ * Bounds of a period named by digestKey().
+ * @param {'hour'|'day'} period
+ * @param {string} key
+ * @returns {{ start: Date, end: Date }} – end is exclusive
+ */
+export function digestBounds(period, key) {
+  const [year, month, day, hour = 0] = key.split(/[-T]/).map(Number);
+  const start = new Date(year, month - 1, day, hour);
+  const end = period === 'hour'
+    ? new Date(year, month - 1, day, hour + 1)
+    : new Date(year, month - 1, day + 1);
+  return { start, end };
+}
+
+export class DigestStore {
+  /**
+   * @param {string} dir – the digests directory
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  file(period, key) {
+    return path.join(this.dir, `${period}s`, `${key}.json`);
+  }
+
+  /**
+   * @returns {Promise<object | null>}
+   */
+  async read(period, key) {
+    try {
+      return JSON.parse(await readFile(this.file(period, key), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Keys of all stored digests of a period, oldest first.
+   * @returns {Promise<string[]>}
+   */
+  async keys(period) {
+    try {
+      const files = await readdir(path.join(this.dir, `${period}s`));
+      return files
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => path.basename(file, '.json'))
+        .sort();
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  /**
+   * Digests of a period that overlap the time range, oldest first.
+   * @param {'hour'|'day'} period
+   * @param {{ from?: Date | null, to?: Date | null }} range
+   * @returns {Promise<object[]>}
+   */
+  async list(period, { from = null, to = null } = {}) {
+    const keys = (await this.keys(period)).filter((key) => {
+      const { start, end } = digestBounds(period, key);
+      return (!from || end > from) && (!to || start <= to);
+    });
+
+    const digests = await Promise.all(keys.map((key) => this.read(period, key)));
+    return digests.filter(Boolean);
+  }
+
+  /**
+   * Replaces a digest atomically, so readers never see a partial file.
+   */
+  async write(digest) {
+    const file = this.file(digest.period, digest.key);
+    await mkdir(path.dirname(file), { recursive: true });
+    const tmpPath = `${file}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(digest, null, 2), 'utf8');
+    await rename(tmpPath, file);
+  }
+
+  async remove(period, key) {
+    await unlink(this.file(period, key)).catch((err) => {
+      if (err.code !== 'ENOENT') throw err;
+    });
+  }
+}
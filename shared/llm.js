@@ -0,0 +1,231 @@
+// llm.js – LLM providers shared by web-server and mcp-server
+// ---------------------------------------------------------------
+// One interface for every model call, so each server only builds messages:
+//
+//   const llm = createProvider(llmTaskConfig('describe', { maxTokens: 1024 }));
+//   const { text } = await llm.complete({ messages: [{ role: 'user', content: [
+//     { type: 'image', mediaType: 'image/png', data: base64 },
+//     { type: 'text', text: 'Please describe this image in detail.' }
+//   ] }] });
+//
+// Providers:
+//   anthropic – Anthropic Messages API
+//   openai    – any OpenAI-compatible Chat Completions API, including local
+//               Ollama (OPENAI_BASE_URL=http://localhost:11434/v1) or
+//               llama.cpp servers
+//   stub      – deterministic offline answers derived from the input, for
+//               tests and air-gapped setups; never touches the network
+//
+//   Environment variables (TASK is e.g. DESCRIBE or ANSWER):
+//     LLM_PROVIDER, LLM_{TASK}_PROVIDER   – provider (default anthropic)
+//     LLM_{TASK}_MODEL                    – model for one task
+//     LLM_{TASK}_MAX_TOKENS, LLM_{TASK}_TEMPERATURE
+//     ANTHROPIC_API_KEY, ANTHROPIC_MODEL, ANTHROPIC_BASE_URL
+//     OPENAI_API_KEY (optional for local servers), OPENAI_MODEL, OPENAI_BASE_URL
+//
+// Failed calls throw an Error with `status` (HTTP status) and, for rate
+// limits, `retryAfterMs`, so callers can decide whether to retry.
+// ---------------------------------------------------------------
+
+import { createHash } from 'node:crypto';
+
+const PROVIDER_DEFAULTS = {
+  anthropic: (env) => ({
+    apiKey: env.ANTHROPIC_API_KEY,
+    model: env.ANTHROPIC_MODEL ?? 'claude-3-7-sonnet-20250219',
+    baseUrl: env.ANTHROPIC_BASE_URL ?? 'https://api.anthropic.com/v1/messages'
+  }),
+  openai: (env) => ({
+    apiKey: env.OPENAI_API_KEY,
+    model: env.OPENAI_MODEL ?? 'gpt-4o-mini',
+    baseUrl: env.OPENAI_BASE_URL ?? 'https://api.openai.com/v1'
+  }),
+  stub: () => ({
+    model: 'stub'
+  })
+};
+
+/**
+ * Resolves the provider, model and parameters for one task from the
+ * environment.
+ * @param {string} task – e.g. "describe", "answer"
+ * @param {{ maxTokens?: number, temperature?: number }} defaults
+ * @param {object} env
+ * @returns {{ task: string, provider: string, model: string, apiKey?: string, baseUrl?: string, maxTokens: number, temperature?: number }}
+ */
+export function llmTaskConfig(task, defaults = {}, env = process.env) {
+  const prefix = `LLM_${task.toUpperCase()}`;
+  const provider = env[`${prefix}_PROVIDER`] ?? env.LLM_PROVIDER ?? 'anthropic';
+  if (!PROVIDER_DEFAULTS[provider]) {
+    throw new Error(`Unknown LLM provider "${provider}" for ${task} (use anthropic, openai or stub)`);
+  }
+
+  const maxTokens = env[`${prefix}_MAX_TOKENS`];
+  const temperature = env[`${prefix}_TEMPERATURE`];
+  const base = PROVIDER_DEFAULTS[provider](env);
+
+  return {
+    task,
+    provider,
+    ...base,
+    model: env[`${prefix}_MODEL`] ?? base.model,
+    maxTokens: maxTokens ? Number(maxTokens) : defaults.maxTokens ?? 1024,
+    temperature: temperature ? Number(temperature) : defaults.temperature
+  };
+}
+
+/**
+ * @param {ReturnType<typeof llmTaskConfig>} config
+ */
+export function createProvider(config) {
+  switch (config.provider) {
+    case 'anthropic': return new AnthropicProvider(config);
+    case 'openai': return new OpenAICompatibleProvider(config);
+    case 'stub': return new StubProvider(config);
+    default: throw new Error(`Unknown LLM provider "${config.provider}"`);
+  }
+}
+
+/**
+ * Throws the error callers expect for a failed HTTP response.
+ */
+async function throwResponseError(label, resp) {
+  const errText = await resp.text();
+  const error = new Error(`${label} API error: ${resp.status} — ${errText}`);
+  error.status = resp.status;
+  const retryAfter = Number(resp.headers.get('retry-after'));
+  if (retryAfter > 0) error.retryAfterMs = retryAfter * 1000;
+  throw error;
+}
+
+class AnthropicProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * @param {{ system?: string, messages: { role: string, content: object[] }[] }} request
+   * @returns {Promise<{ text: string }>}
+   */
+  async complete({ system, messages }) {
+    if (!this.config.apiKey) {
+      throw new Error('Anthropic API key missing (set ANTHROPIC_API_KEY)');
+    }
+
+    const body = {
+      model: this.config.model,
+      max_tokens: this.config.maxTokens,
+      ...(this.config.temperature !== undefined && { temperature: this.config.temperature }),
+      ...(system && { system }),
+      messages: messages.map(({ role, content }) => ({
+        role,
+        content: content.map((part) =>
+          part.type === 'image'
+            ? { type: 'image', source: { type: 'base64', media_type: part.mediaType, data: part.data } }
+            : { type: 'text', text: part.text }
+        )
+      }))
+    };
+
+    const resp = await fetch(this.config.baseUrl, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.config.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify(body)
+    });
+    if (!resp.ok) await throwResponseError('Anthropic', resp);
+
+    const data = await resp.json();
+    // The answer is usually the first content block with type === 'text'
+    return { text: data?.content?.find((c) => c.type === 'text')?.text ?? '' };
+  }
+}
+
+class OpenAICompatibleProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * @param {{ system?: string, messages: { role: string, content: object[] }[] }} request
+   * @returns {Promise<{ text: string }>}
+   */
+  async complete({ system, messages }) {
+    const body = {
+      model: this.config.model,
+      max_tokens: this.config.maxTokens,
+      ...(this.config.temperature !== undefined && { temperature: this.config.temperature }),
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...messages.map(({ role, content }) => ({
+          role,
+          content: content.map((part) =>
+            part.type === 'image'
+              ? { type: 'image_url', image_url: { url: `data:${part.mediaType};base64,${part.data}` } }
+              : { type: 'text', text: part.text }
+          )
+        }))
+      ]
+    };
+
+    const resp = await fetch(`${this.config.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        // Local servers usually don't need a key
+        ...(this.config.apiKey && { authorization: `Bearer ${this.config.apiKey}` })
+      },
+      body: JSON.stringify(body)
+    });
+    if (!resp.ok) await throwResponseError('OpenAI-compatible', resp);
+
+    const data = await resp.json();
+    return { text: data?.choices?.[0]?.message?.content ?? '' };
+  }
+}
+
+// Minimal valid answers for the tasks whose callers parse JSON
+const STUB_JSON_ANSWERS = {
+  analyze: ({ digest, summary }) => ({
+    caption: `Stub analysis ${digest} of ${summary}`,
+    sceneType: 'stub',
+    objects: [{ name: 'stub', count: 1 }],
+    text: [],
+    peopleCount: 0
+  }),
+  keywords: () => ({ keywords: ['stub'] }),
+  actions: () => []
+};
+
+class StubProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Answers with a fixed sentence that names what it was given, so the same
+   * input always gives the same output. Tasks that expect JSON (analyze,
+   * keywords, actions) get a minimal valid answer instead.
+   * @param {{ system?: string, messages: { role: string, content: object[] }[] }} request
+   * @returns {Promise<{ text: string }>}
+   */
+  async complete({ messages }) {
+    const parts = messages.at(-1)?.content ?? [];
+    const images = parts.filter((part) => part.type === 'image');
+    const text = parts.filter((part) => part.type === 'text').map((part) => part.text).join('\n');
+    const digest = createHash('sha256')
+      .update(JSON.stringify(messages))
+      .digest('hex')
+      .substring(0, 12);
+
+    const summary = images.length > 0
+      ? `${images.length} image(s) (${images.map((image) => image.mediaType).join(', ')})`
+      : `${text.length} characters of text`;
+    const jsonAnswer = STUB_JSON_ANSWERS[this.config.task];
+    if (jsonAnswer) return { text: JSON.stringify(jsonAnswer({ digest, summary })) };
+    return { text: `Stub ${this.config.task} response ${digest} for ${summary}.` };
+  }
+}
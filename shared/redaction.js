@@ -0,0 +1,228 @@
+// redaction.js – Rule-based PII redaction shared by web-server and mcp-server
+// ---------------------------------------------------------------
+// Replaces personal data in transcripts and image descriptions with typed
+// placeholders such as [EMAIL_1] or [PHONE_2]. The same value gets the same
+// placeholder within one text.
+//
+// Two stages can be enabled independently:
+//   storage – web-server redacts before writing .txt files (irreversible
+//             unless the vault keeps the originals, encrypted)
+//   prompt  – mcp-server redacts whatever it reads before it reaches a
+//             prompt, a tool result or a log; web-server does the same for
+//             the text it summarizes into digests
+//
+//   Configuration (web-server/redaction.json, or REDACTION_CONFIG):
+//     {
+//       "stages":   { "storage": false, "prompt": true },
+//       "types":    ["email", "phone", "card", "address"],
+//       "patterns": [{ "type": "EMPLOYEE_ID", "regex": "EMP-\\d{5}", "flags": "i" }],
+//       "words":    [{ "type": "NAME", "list": ["Alex Morgan"] }],
+//       "vault":    { "enabled": false }
+//     }
+//   The vault key comes from REDACTION_VAULT_KEY (any passphrase).
+// ---------------------------------------------------------------
+
+import { readFile } from 'node:fs/promises';
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'node:crypto';
+
+const DEFAULT_CONFIG = {
+  stages: { storage: false, prompt: true },
+  types: ['email', 'phone', 'card', 'address'],
+  patterns: [],
+  words: [],
+  vault: { enabled: false }
+};
+
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway';
+
+// Built-in detectors, applied in this order (cards before phone numbers);
+// `accept` filters out look-alikes (dates, short numbers)
+const DETECTORS = {
+  email: {
+    regex: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+  },
+  card: {
+    regex: /(?<![\d-])(?:\d[ -]?){12,18}\d(?![\d-])/g,
+    accept: (match) => passesLuhn(match.replace(/\D/g, ''))
+  },
+  phone: {
+    regex: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,3}(?!\w)/g,
+    accept: (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 7 && digits <= 15 && !/^\d{4}-\d{2}-\d{2}$/.test(match);
+    }
+  },
+  // House number + capitalized street name, so "5 minutes down the road" stays
+  address: {
+    regex: new RegExp(`\\b\\d{1,5}\\s+(?:[A-Z][A-Za-z]*\\s+){1,4}(?:${STREET_SUFFIXES})\\b`, 'g')
+  }
+};
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Reads the redaction config, falling back to the defaults when the file
+ * doesn't exist.
+ * @param {string} file
+ * @returns {Promise<object>}
+ */
+export async function loadRedactionConfig(file) {
+  try {
+    const config = JSON.parse(await readFile(file, 'utf8'));
+    return {
+      ...DEFAULT_CONFIG,
+      ...config,
+      stages: { ...DEFAULT_CONFIG.stages, ...config.stages },
+      vault: { ...DEFAULT_CONFIG.vault, ...config.vault }
+    };
+  } catch (err) {
+    if (err.code === 'ENOENT') return DEFAULT_CONFIG;
+    throw new Error(`Invalid redaction config ${file}: ${err.message}`);
+  }
+}
+
+export class Redactor {
+  /**
+   * @param {object} config – as returned by loadRedactionConfig()
+   */
+  constructor(config) {
+    this.config = config;
+    this.rules = [
+      // Custom rules first so they win over the generic detectors
+      ...config.patterns.map(({ type, regex, flags = '' }) => ({
+        type: type.toUpperCase(),
+        regex: new RegExp(regex, flags.includes('g') ? flags : `${flags}g`)
+      })),
+      ...config.words
+        .filter(({ list }) => list.length > 0)
+        .map(({ type, list }) => ({
+          type: type.toUpperCase(),
+          regex: new RegExp(`\\b(?:${list.map(escapeRegExp).join('|')})\\b`, 'gi')
+        })),
+      ...Object.entries(DETECTORS)
+        .filter(([type]) => config.types.includes(type))
+        .map(([type, detector]) => ({ type: type.toUpperCase(), ...detector }))
+    ];
+
+    const unknown = config.types.filter((type) => !DETECTORS[type]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown redaction type(s): ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * @param {'storage'|'prompt'} stage
+   * @returns {boolean}
+   */
+  isEnabled(stage) {
+    return Boolean(this.config.stages[stage]);
+  }
+
+  /**
+   * @param {string} text
+   * @returns {{ text: string, replacements: { placeholder: string, type: string, original: string }[] }}
+   */
+  redact(text) {
+    const state = newRedactionState();
+    return { text: this.redactWith(text, state), replacements: state.replacements };
+  }
+
+  /**
+   * Redacts every string in a JSON value, e.g. a parsed sidecar; object keys,
+   * numbers and the rest stay as they are. The same value gets the same
+   * placeholder in all of its strings.
+   * @param {*} value
+   * @returns {{ value: *, replacements: { placeholder: string, type: string, original: string }[] }}
+   */
+  redactValues(value) {
+    const state = newRedactionState();
+    const walk = (item) => {
+      if (typeof item === 'string') return this.redactWith(item, state);
+      if (Array.isArray(item)) return item.map(walk);
+      if (typeof item === 'object' && item !== null) {
+        return Object.fromEntries(Object.entries(item).map(([key, child]) => [key, walk(child)]));
+      }
+      return item;
+    };
+    return { value: walk(value), replacements: state.replacements };
+  }
+
+  redactWith(text, { replacements, placeholders, counts }) {
+    for (const rule of this.rules) {
+      text = text.replace(rule.regex, (match) => {
+        if (rule.accept && !rule.accept(match)) return match;
+
+        const key = `${rule.type}:${match.toLowerCase()}`;
+        if (!placeholders.has(key)) {
+          counts[rule.type] = (counts[rule.type] ?? 0) + 1;
+          const placeholder = `[${rule.type}_${counts[rule.type]}]`;
+          placeholders.set(key, placeholder);
+          replacements.push({ placeholder, type: rule.type, original: match });
+        }
+        return placeholders.get(key);
+      });
+    }
+    return text;
+  }
+}
+
+function newRedactionState() {
+  return {
+    replacements: [],
+    placeholders: new Map(), // "TYPE:value" -> placeholder
+    counts: {}
+  };
+}
+
+/**
+ * Encrypts redacted originals (AES-256-GCM, key derived from the passphrase
+ * with scrypt and a per-entry salt).
+ * @param {object[]} replacements – as returned by Redactor#redact()
+ * @param {string} passphrase
+ * @returns {string} – JSON envelope, safe to write to disk
+ */
+export function sealOriginals(replacements, passphrase) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', scryptSync(passphrase, salt, 32), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(replacements), 'utf8'), cipher.final()]);
+
+  return JSON.stringify({
+    version: 1,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  });
+}
+
+/**
+ * Decrypts an envelope written by sealOriginals().
+ * @param {string} sealed
+ * @param {string} passphrase
+ * @returns {object[]} – the replacements
+ */
+export function openOriginals(sealed, passphrase) {
+  const envelope = JSON.parse(sealed);
+  const key = scryptSync(passphrase, Buffer.from(envelope.salt, 'base64'), 32);
+  const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+  const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+  return JSON.parse(data.toString('utf8'));
+}
@@ -0,0 +1,111 @@
+// speakers.js – Speaker segments of transcripts, shared by web-server and
+// mcp-server
+// ---------------------------------------------------------------
+// A transcript upload may come with the segments of a speech recognizer that
+// tells speakers apart. The web-server keeps them in a JSON sidecar
+// (transcripts/{id}.json, the record's files.segments) and their distinct
+// labels in the record's `speakers`.
+//
+//   Sidecar:
+//     segments – in the order uploaded:
+//       speaker – the recognizer's label, e.g. "speaker 2"
+//       start   – offset in seconds from the transcript's capture time
+//       end     – offset in seconds, at least start
+//       text    – what was said
+//
+// Labels only mean something within one conversation. A conversation's
+// `speakers` (see ./conversations.js) names them, e.g. { "speaker 2": "Alex" };
+// its keys are lowercase labels.
+// ---------------------------------------------------------------
+
+export const MAX_SEGMENTS = 1000;
+const MAX_LABEL_LENGTH = 50;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Validates uploaded speaker segments and normalizes them for storage.
+ * @param {*} value – the parsed "segments" field
+ * @returns {{ speaker: string, start: number, end: number, text: string }[]}
+ * @throws {Error} – with `problems` listing what's wrong
+ */
+export function parseSegments(value) {
+  const problems = [];
+
+  if (!Array.isArray(value)) {
+    problems.push('segments must be an array');
+  } else if (value.length > MAX_SEGMENTS) {
+    problems.push(`segments must have at most ${MAX_SEGMENTS} items`);
+  } else {
+    value.forEach((segment, index) => problems.push(...segmentProblems(segment, `segments[${index}]`)));
+  }
+
+  if (problems.length > 0) {
+    throw Object.assign(new Error(`Invalid speaker segments: ${problems.slice(0, 10).join('; ')}`), { problems });
+  }
+
+  return value.map(({ speaker, start, end, text }) => ({ speaker: speaker.trim(), start, end, text: text.trim() }));
+}
+
+function segmentProblems(segment, at) {
+  if (typeof segment !== 'object' || segment === null) return [`${at} must be an object`];
+
+  const problems = [];
+  if (typeof segment.speaker !== 'string' || !segment.speaker.trim() || segment.speaker.length > MAX_LABEL_LENGTH) {
+    problems.push(`${at}.speaker must be a label of 1 to ${MAX_LABEL_LENGTH} characters`);
+  }
+  if (!Number.isFinite(segment.start) || segment.start < 0) {
+    problems.push(`${at}.start must be a number of seconds, at least 0`);
+  }
+  if (!Number.isFinite(segment.end) || segment.end < segment.start) {
+    problems.push(`${at}.end must be a number of seconds, at least start`);
+  }
+  if (typeof segment.text !== 'string' || !segment.text.trim()) {
+    problems.push(`${at}.text must not be empty`);
+  }
+  return problems;
+}
+
+/**
+ * Distinct speaker labels of segments, in order of first appearance.
+ * @returns {string[]}
+ */
+export function speakerLabels(segments) {
+  return [...new Set(segments.map((segment) => segment.speaker))];
+}
+
+/**
+ * Validates names for speaker labels, e.g. { "speaker 2": "Alex" }; null
+ * removes a label's name.
+ * @param {*} value
+ * @returns {Object<string, string | null>} – by lowercase label
+ * @throws {Error} – with `problems` listing what's wrong
+ */
+export function parseSpeakerNames(value) {
+  const problems = [];
+  if (typeof value !== 'object' || value === null || Array.isArray(value) || Object.keys(value).length === 0) {
+    problems.push('expected an object of speaker labels and names');
+  } else {
+    for (const [label, name] of Object.entries(value)) {
+      if (!label.trim() || label.length > MAX_LABEL_LENGTH) problems.push(`"${label}" is not a speaker label`);
+      if (name !== null && (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH)) {
+        problems.push(`the name of "${label}" must be a string of 1 to ${MAX_NAME_LENGTH} characters, or null`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw Object.assign(new Error(`Invalid speaker names: ${problems.join('; ')}`), { problems });
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([label, name]) => [label.trim().toLowerCase(), name?.trim() ?? null]));
+}
+
+/**
+ * The name a conversation gives a speaker label, or the label itself.
+ * @param {Object<string, string> | undefined} names – a conversation's `speakers`
+ * @param {string} label
+ * @returns {string}
+ */
+export function speakerName(names, label) {
+  return names?.[label.toLowerCase()] ?? label;
+}
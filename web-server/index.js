@@ -1,31 +1,133 @@
 // server.js – Minimal HTTP server with two endpoints (Node.js 22+)
 // ---------------------------------------------------------------
 // 1. POST /echo           – echoes the received JSON back to the caller.
-// 2. POST /media          – accepts either a transcript (plain text) or a
-//                           base64‑encoded image. If an image is provided,
-//                           the server calls Anthropic's Messages API to
-//                           obtain a detailed description. Both transcripts
-//                           and image descriptions are saved as .txt files;
-//                           images are saved alongside their corresponding
-//                           description using the same timestamp‑based name.
+// 2. POST /media          – stores a transcript or an image; images are
+//                           analyzed and described in the background.
+//    POST /media/batch    – stores up to 100 captures at once.
+// 3. GET /media?date=|from=&to=[&type=&q=&order=&limit=]
+//                         – lists captures of a local day or time range.
+//    GET /media/days      – days with captures, newest first.
+//    GET /media/{id}      – reports a capture's processing status.
+//    GET /media/{id}/text | /image | /thumbnail | /analysis | /segments
+//                         – a capture's files.
+//    GET /media/export?date=|from=&to=[&type=]
+//                         – captures as one .tar.gz archive.
+//    POST /media/import   – imports such an archive.
+//    DELETE /media/{id}, DELETE /media?from=&to=[&type=]
+//                         – deletes one capture or a time range of them.
+//    GET /actions?date=|from=&to=[&status=], PATCH /actions/{id}
+//                         – lists or updates action items.
+//    PATCH /conversations/{id}/speakers
+//                         – names the speakers of a conversation.
+// 4. POST /pair           – exchanges the one-time pairing code shown on the
+//                           console for a device API token.
+// 5. GET /devices,        – lists paired devices / revokes a device's token
+//    DELETE /devices/{id}   (require the ADMIN_TOKEN).
+// 6. GET /events[?types=] – server-sent events about new captures.
+// 7. GET /                – timeline UI for browsing captures (files in ./ui).
+//
+//   Details are in the doc comment of each route's handler.
+//
+//   Every route except /pair and the UI files requires
+//   "Authorization: Bearer <token>" with a token issued by /pair.
+//
+//   Every upload gets a unique capture ID (UTC time + random suffix) and a
+//   record in ./captures.jsonl (see ../shared/captures.js), which both this
+//   server and the mcp-server read instead of scanning the directories.
+//
+//   Commands (run instead of the server, while it is stopped):
+//     node index.js export [--date 2025-05-17 | --from <ISO> --to <ISO>]
+//                          [--type transcript|image] [--out <file>]
+//     node index.js import <file>
 //
 //   Directories:
 //     ./transcripts  – text files received via the "transcript" field
-//     ./images       – images + their description files
+//     ./images       – images + their description and analysis files
+//     ./vault        – encrypted originals of redacted text (if enabled)
+//     ./digests      – hourly and daily summaries (see ../shared/digests.js)
+//     ./thumbnails   – cached image thumbnails for the UI
+//     ./imports      – archives being imported (removed when done)
+//
+//   Transcripts are grouped into conversations by silence gaps, kept in
+//   ./conversations.json (see ../shared/conversations.js). Action items
+//   found in closed conversations are kept in ./actions.json.
 //
 //   Environment variables:
 //     PORT                 – optional, defaults to 3000
-//     ANTHROPIC_API_KEY    – **required** for /media image handling
-//     ANTHROPIC_MODEL      – optional, Claude model name (default haiku)
+//     ANTHROPIC_API_KEY    – **required** for /media image handling with
+//                            the default provider
+//     ANTHROPIC_MODEL      – optional, Claude model name
+//     LLM_DESCRIBE_PROVIDER, LLM_DESCRIBE_MODEL, ...
+//                          – optional, another provider/model for image
+//                            descriptions (see ../shared/llm.js)
+//     IMAGE_ANALYSIS       – optional, "false" skips structured analyses
+//     LLM_ANALYZE_PROVIDER, LLM_ANALYZE_MODEL, ...
+//                          – optional, provider/model for image analyses
+//     IMAGE_KEYWORDS       – optional, "false" skips keyword extraction
+//     LLM_KEYWORDS_PROVIDER, LLM_KEYWORDS_MODEL, ...
+//                          – optional, provider/model for image keywords
+//                            when there is no analysis to take them from
+//     DESCRIBE_CONCURRENCY – optional, parallel description jobs (default 2)
+//     ADMIN_TOKEN          – optional, enables the /devices admin routes
+//     RETENTION_IMAGES_DAYS, RETENTION_TRANSCRIPTS_DAYS
+//                          – optional, delete captures older than this
+//                            (kept forever if unset)
+//     DIGEST_INTERVAL_MINUTES
+//                          – optional, how often digests are brought up to
+//                            date (default 30, 0 disables the digest job)
+//     LLM_DIGEST_PROVIDER, LLM_DIGEST_MODEL, ...
+//                          – optional, provider/model for digests
+//     MAX_IMAGE_MB         – optional, largest accepted image (default 10)
+//     MAX_JSON_BODY_MB     – optional, largest accepted JSON body (default 20;
+//                            base64 makes images a third larger)
+//     MAX_BATCH_BODY_MB    – optional, largest accepted /media/batch body
+//                            (default 50)
+//     MAX_IMPORT_MB        – optional, largest archive to import, packed or
+//                            unpacked (default 1024)
+//     DEDUP_FRAMES         – optional, "false" stores every frame
+//     DEDUP_MAX_DISTANCE   – optional, differing hash bits (of 64) up to
+//                            which frames count as duplicates (default 5)
+//     CONVERSATION_GAP_MINUTES
+//                          – optional, silence that ends a conversation
+//                            (default 5)
+//     LLM_TITLE_PROVIDER, LLM_TITLE_MODEL, ...
+//                          – optional, provider/model for conversation titles
+//     ACTION_ITEMS         – optional, "false" skips action item extraction
+//     LLM_ACTIONS_PROVIDER, LLM_ACTIONS_MODEL, ...
+//                          – optional, provider/model for action items
+//     REDACTION_CONFIG     – optional, PII redaction rules (default
+//                            ./redaction.json, see ../shared/redaction.js)
+//     REDACTION_VAULT_KEY  – passphrase for the encrypted originals vault
+//                            (required if the vault is enabled)
 //
 //   Run:  node server.js  (ensure package.json has { "type": "module" })
 // ---------------------------------------------------------------
 
 import { createServer } from 'node:http';
-import { json as consumeJSON } from 'node:stream/consumers';
-import { writeFile, mkdir } from 'node:fs/promises';
+import { randomBytes, randomInt, randomUUID, createHash, timingSafeEqual } from 'node:crypto';
+import { writeFile, readFile, mkdir, readdir, rename, unlink, stat, rm } from 'node:fs/promises';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { pipeline } from 'node:stream/promises';
+import { parseArgs } from 'node:util';
 import path from 'node:path';
 import { Buffer } from 'node:buffer';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import busboy from 'busboy';
+import {
+  CaptureStore,
+  createCaptureId,
+  extensionForMediaType,
+  mediaTypeForFilename
+} from '../shared/captures.js';
+import { Redactor, loadRedactionConfig, sealOriginals } from '../shared/redaction.js';
+import { createProvider, llmTaskConfig } from '../shared/llm.js';
+import { DigestStore, digestBounds, digestKey } from '../shared/digests.js';
+import { ANALYSIS_VERSION, IMAGE_ANALYSIS_SCHEMA, parseAnalysis } from '../shared/analysis.js';
+import { ConversationStore, segmentConversations } from '../shared/conversations.js';
+import { ACTION_ITEM_STATUSES, ActionItemStore } from '../shared/actions.js';
+import { parseSegments, parseSpeakerNames, speakerLabels } from '../shared/speakers.js';
+import { ARCHIVE_FORMAT, ARCHIVE_VERSION, extractArchive, parseManifest, sha256, writeArchive } from '../shared/archive.js';
 
 // ============================================================================
 // Configuration
@@ -35,20 +137,154 @@ const CONFIG = {
   server: {
     port: process.env.PORT ?? 3000
   },
-  api: {
-    anthropic: {
-      key: process.env.ANTHROPIC_API_KEY,
-      model: process.env.ANTHROPIC_MODEL ?? 'claude-3-7-sonnet-20250219',
-      baseUrl: 'https://api.anthropic.com/v1/messages',
-      apiVersion: '2023-06-01'
-    }
+  // Model used for each task (see ../shared/llm.js)
+  llm: {
+    describe: llmTaskConfig('describe', { maxTokens: 1024 }),
+    digest: llmTaskConfig('digest', { maxTokens: 1024, temperature: 0.2 }),
+    title: llmTaskConfig('title', { maxTokens: 50, temperature: 0.2 }),
+    analyze: llmTaskConfig('analyze', { maxTokens: 2048, temperature: 0 }),
+    keywords: llmTaskConfig('keywords', { maxTokens: 100, temperature: 0 }),
+    actions: llmTaskConfig('actions', { maxTokens: 1024, temperature: 0 })
+  },
+  // Short keywords for the glasses' display, found by the description job
+  keywords: {
+    enabled: process.env.IMAGE_KEYWORDS !== 'false',
+    max: 5,
+    maxLength: 40
+  },
+  // Structured image analyses (see ../shared/analysis.js)
+  analysis: {
+    enabled: process.env.IMAGE_ANALYSIS !== 'false',
+    // Replies that don't match the schema are sent back this many times minus one
+    maxReplies: 2
+  },
+  // Request body limits (bytes)
+  uploads: {
+    maxImageBytes: Math.floor(Number(process.env.MAX_IMAGE_MB ?? 10) * 1024 * 1024),
+    maxJsonBytes: Math.floor(Number(process.env.MAX_JSON_BODY_MB ?? 20) * 1024 * 1024),
+    maxTranscriptBytes: 1024 * 1024,
+    maxBatchBytes: Math.floor(Number(process.env.MAX_BATCH_BODY_MB ?? 50) * 1024 * 1024),
+    maxBatchItems: 100,
+    // How far ahead of the server's clock a client's capture time may be
+    maxClockSkewMs: 5 * 60 * 1000,
+    // Room for multipart boundaries and headers on top of the file
+    multipartOverheadBytes: 64 * 1024
+  },
+  auth: {
+    adminToken: process.env.ADMIN_TOKEN,
+    pairingCodeTtlMs: 10 * 60 * 1000,
+    // Wrong guesses allowed before the pairing code is replaced
+    maxPairingAttempts: 5,
+    // Wrong guesses allowed per client address, and from all clients
+    // together, within pairingWindowMs; further requests get 429
+    pairingWindowMs: 15 * 60 * 1000,
+    maxPairingFailuresPerClient: 10,
+    maxPairingFailures: 30,
+    // lastSeenAt is persisted at most this often per device
+    lastSeenWriteIntervalMs: 60 * 1000
+  },
+  // Captures older than this many days are deleted by the retention sweeper
+  retention: {
+    days: {
+      image: process.env.RETENTION_IMAGES_DAYS ? Number(process.env.RETENTION_IMAGES_DAYS) : null,
+      transcript: process.env.RETENTION_TRANSCRIPTS_DAYS ? Number(process.env.RETENTION_TRANSCRIPTS_DAYS) : null
+    },
+    sweepIntervalMs: 60 * 60 * 1000
+  },
+  // Image description job queue
+  queue: {
+    concurrency: Number(process.env.DESCRIBE_CONCURRENCY ?? 2),
+    maxAttempts: 6,
+    // Retry delays double from baseDelayMs up to maxDelayMs
+    baseDelayMs: 2000,
+    maxDelayMs: 10 * 60 * 1000
+  },
+  digests: {
+    intervalMs: Number(process.env.DIGEST_INTERVAL_MINUTES ?? 30) * 60 * 1000,
+    // Characters sent to the model per capture and per hour digest
+    maxCaptureChars: 1000,
+    maxInputChars: 40000
+  },
+  // Near-duplicate frame suppression
+  dedup: {
+    enabled: process.env.DEDUP_FRAMES !== 'false',
+    // Frames whose hashes differ in at most this many of 64 bits are duplicates
+    maxDistance: Number(process.env.DEDUP_MAX_DISTANCE ?? 5),
+    // A scene seen again after this long is stored again
+    maxGapMs: 10 * 60 * 1000
+  },
+  // Image thumbnails for the timeline UI
+  thumbnails: {
+    // Longest side in pixels
+    maxSize: 320,
+    quality: 70
+  },
+  archives: {
+    maxImportBytes: Math.floor(Number(process.env.MAX_IMPORT_MB ?? 1024) * 1024 * 1024)
+  },
+  timeline: {
+    defaultLimit: 200,
+    maxLimit: 1000,
+    excerptChars: 300
+  },
+  events: {
+    // Recent events kept for reconnecting clients
+    bufferSize: 1000,
+    maxClients: 50,
+    // Comment line sent this often so proxies keep idle streams open
+    heartbeatMs: 25 * 1000,
+    // Reconnection delay suggested to EventSource clients
+    retryMs: 3000
+  },
+  conversations: {
+    // Transcripts further apart than this belong to different conversations
+    gapMs: Number(process.env.CONVERSATION_GAP_MINUTES ?? 5) * 60 * 1000,
+    // How often closed conversations are titled and open ones re-checked
+    intervalMs: 60 * 1000,
+    // Transcript characters sent to the model for a title
+    maxTitleInputChars: 4000,
+    maxSpeakerNamesBytes: 16 * 1024
+  },
+  // Action items found in closed conversations (see ../shared/actions.js)
+  actionItems: {
+    enabled: process.env.ACTION_ITEMS !== 'false',
+    intervalMs: 60 * 1000,
+    // Transcript characters sent to the model per conversation
+    maxInputChars: 20000,
+    maxTextLength: 300,
+    maxUpdateBytes: 16 * 1024
+  },
+  redaction: {
+    vaultKey: process.env.REDACTION_VAULT_KEY
   },
   paths: {
     transcripts: path.resolve('./transcripts'),
-    images: path.resolve('./images')
+    images: path.resolve('./images'),
+    vault: path.resolve('./vault'),
+    digests: path.resolve('./digests'),
+    conversations: path.resolve('./conversations.json'),
+    actions: path.resolve('./actions.json'),
+    thumbnails: path.resolve('./thumbnails'),
+    imports: path.resolve('./imports'),
+    ui: path.join(import.meta.dirname, 'ui'),
+    captures: path.resolve('./captures.jsonl'),
+    devices: path.resolve('./devices.json'),
+    redactionConfig: process.env.REDACTION_CONFIG ?? path.resolve('./redaction.json')
   }
 };
 
+const captureStore = new CaptureStore(CONFIG.paths.captures);
+const redactor = new Redactor(await loadRedactionConfig(CONFIG.paths.redactionConfig));
+const digestStore = new DigestStore(CONFIG.paths.digests);
+const conversationStore = new ConversationStore(CONFIG.paths.conversations);
+const actionItemStore = new ActionItemStore(CONFIG.paths.actions);
+const describeLLM = createProvider(CONFIG.llm.describe);
+const digestLLM = createProvider(CONFIG.llm.digest);
+const titleLLM = createProvider(CONFIG.llm.title);
+const analyzeLLM = createProvider(CONFIG.llm.analyze);
+const keywordsLLM = createProvider(CONFIG.llm.keywords);
+const actionsLLM = createProvider(CONFIG.llm.actions);
+
 // ============================================================================
 // Utility Functions
 // ============================================================================
@@ -61,197 +297,3245 @@ async function ensureDir(dir) {
 }
 
 /**
- * Generates a safe filename based on the current timestamp (local TZ, second precision).
- * Example: 2025-05-17-02-40-24
+ * Sends a JSON response.
+ */
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Sends a file's contents.
+ */
+async function sendFile(res, file, headers) {
+  const data = await readFile(file);
+  res.writeHead(200, { ...headers, 'Content-Length': data.length });
+  res.end(data);
+}
+
+/**
+ * Creates an error that the server turns into a response with this status.
+ */
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Rejects a request whose declared length is already over the limit,
+ * before reading any of it.
+ */
+function checkContentLength(req, maxBytes) {
+  if (Number(req.headers['content-length']) > maxBytes) {
+    throw httpError(413, `Request body exceeds ${maxBytes} bytes`);
+  }
+}
+
+/**
+ * Reads and parses a JSON request body of at most maxBytes.
+ */
+async function readJSONBody(req, maxBytes = CONFIG.uploads.maxJsonBytes) {
+  checkContentLength(req, maxBytes);
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) throw httpError(413, `Request body exceeds ${maxBytes} bytes`);
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw httpError(400, 'Invalid JSON');
+  }
+}
+
+/**
+ * Path of a file relative to the capture store, as kept in capture records.
+ */
+function storePath(filepath) {
+  return path.relative(captureStore.dir, filepath);
+}
+
+/**
+ * Parses a legacy timestamp name (local TZ, second precision), e.g. 2025-05-17-02-40-24.
+ * @returns {Date | null}
+ */
+function parseLegacyTimestamp(name) {
+  const match = name.match(/^(\d{4})-(\d{2})-(\d{2})-(\d{2})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+/**
+ * Adds capture records for files saved before the capture store existed.
+ * Their timestamp names become their capture IDs; nothing is renamed.
+ */
+async function migrateLegacyFiles() {
+  const known = new Set(
+    [...captureStore.records.values()].flatMap((record) => Object.values(record.files))
+  );
+  const listDir = (dir) => readdir(dir).catch((err) => (err.code === 'ENOENT' ? [] : Promise.reject(err)));
+  let migrated = 0;
+
+  for (const file of await listDir(CONFIG.paths.transcripts)) {
+    const id = path.basename(file, '.txt');
+    const capturedAt = parseLegacyTimestamp(id);
+    const textPath = storePath(path.join(CONFIG.paths.transcripts, file));
+    if (!file.endsWith('.txt') || !capturedAt || known.has(textPath)) continue;
+
+    await captureStore.put({
+      id,
+      capturedAt: capturedAt.toISOString(),
+      type: 'transcript',
+      files: { text: textPath },
+      mediaType: 'text/plain',
+      status: 'stored'
+    });
+    migrated++;
+  }
+
+  const imageFiles = await listDir(CONFIG.paths.images);
+  for (const file of imageFiles) {
+    const id = path.basename(file, path.extname(file));
+    const capturedAt = parseLegacyTimestamp(id);
+    const imagePath = storePath(path.join(CONFIG.paths.images, file));
+    if (file.endsWith('.txt') || file.endsWith('.json') || !capturedAt || known.has(imagePath)) continue;
+
+    const hasDescription = imageFiles.includes(`${id}.txt`);
+    await captureStore.put({
+      id,
+      capturedAt: capturedAt.toISOString(),
+      type: 'image',
+      files: hasDescription
+        ? { image: imagePath, text: storePath(path.join(CONFIG.paths.images, `${id}.txt`)) }
+        : { image: imagePath },
+      mediaType: mediaTypeForFilename(file),
+      status: hasDescription ? 'described' : 'failed'
+    });
+    migrated++;
+  }
+
+  if (migrated > 0) {
+    console.log(`📦  Added ${migrated} legacy file(s) to ${path.relative('.', CONFIG.paths.captures)}`);
+  }
+}
+
+// ============================================================================
+// Redaction
+// ============================================================================
+
+/**
+ * Applies the storage redaction stage to text that's about to be written.
+ * With the vault enabled, the redacted originals are kept encrypted in
+ * ./vault/{id}.json, which becomes one of the capture's files.
+ * @returns {Promise<{ text: string, files: object, redactions: number }>}
+ */
+async function redactForStorage(id, text) {
+  if (!redactor.isEnabled('storage')) return { text, files: {}, redactions: 0 };
+
+  const { text: redacted, replacements } = redactor.redact(text);
+  return { text: redacted, files: await vaultOriginals(id, replacements), redactions: replacements.length };
+}
+
+/**
+ * Like redactForStorage(), for the strings in a JSON value (a sidecar) that's
+ * about to be written; keys and other values are left alone.
+ * @returns {Promise<{ value: *, files: object, redactions: number }>}
  */
-function timestampName() {
-  const d = new Date();
-  const pad = (n) => String(n).padStart(2, '0');
-  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}-${pad(d.getHours())}-${pad(d.getMinutes())}-${pad(d.getSeconds())}`;
+async function redactValuesForStorage(id, value) {
+  if (!redactor.isEnabled('storage')) return { value, files: {}, redactions: 0 };
+
+  const { value: redacted, replacements } = redactor.redactValues(value);
+  return { value: redacted, files: await vaultOriginals(id, replacements), redactions: replacements.length };
+}
+
+/**
+ * Keeps redacted originals in the vault, if it is enabled.
+ * @returns {Promise<object>} – { vault } with the file written, or nothing
+ */
+async function vaultOriginals(id, replacements) {
+  if (replacements.length === 0 || !redactor.config.vault.enabled) return {};
+
+  await ensureDir(CONFIG.paths.vault);
+  const vaultPath = path.join(CONFIG.paths.vault, `${id}.json`);
+  await writeFile(vaultPath, sealOriginals(replacements, CONFIG.redaction.vaultKey), { mode: 0o600 });
+  return { vault: storePath(vaultPath) };
+}
+
+/**
+ * Applies the prompt redaction stage to stored text that's about to be sent
+ * to a model.
+ */
+function redactForPrompt(text) {
+  return redactor.isEnabled('prompt') ? redactor.redact(text).text : text;
 }
 
 // ============================================================================
-// API Service
+// Image Uploads
 // ============================================================================
+//
+// Image bodies are streamed to a temporary file next to their final one and
+// never held in memory as a whole (except base64 JSON uploads). The media
+// type comes from the file signature, not from what the client claims.
+
+const IMAGE_SIGNATURES = [
+  { mediaType: 'image/png', matches: (head) => head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mediaType: 'image/jpeg', matches: (head) => head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff },
+  { mediaType: 'image/gif', matches: (head) => /^GIF8[79]a/.test(head.toString('latin1', 0, 6)) },
+  { mediaType: 'image/webp', matches: (head) => head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP' }
+];
+
+// Bytes needed to tell the formats apart
+const SIGNATURE_BYTES = 12;
 
 /**
- * Calls Anthropic's Messages API (vision) to describe a base64 image.
- * @param {string} base64Data – image bytes encoded as base64 (PNG/JPEG/…)
- * @param {string} mediaType  – e.g. "image/png"
- * @returns {Promise<string>} – the model's textual description
+ * @param {Buffer} head – the first bytes of a file
+ * @returns {string | null} – media type, or null if it isn't a supported image
  */
-async function describeImageWithAnthropic(base64Data, mediaType) {
-  if (!CONFIG.api.anthropic.key)
-    throw new Error('Anthropic API key missing (set ANTHROPIC_API_KEY)');
+function sniffImageType(head) {
+  return IMAGE_SIGNATURES.find((signature) => signature.matches(head))?.mediaType ?? null;
+}
 
-  const body = {
-    model: CONFIG.api.anthropic.model,
-    max_tokens: 1024,
-    messages: [
-      {
-        role: 'user',
-        content: [
-          {
-            type: 'image',
-            source: {
-              type: 'base64',
-              media_type: mediaType,
-              data: base64Data,
-            },
-          },
-          {
-            type: 'text',
-            text: 'Please describe this image in detail.',
-          },
-        ],
-      },
-    ],
-  };
+/**
+ * Streams an image upload to tmpPath, failing with 413 once it exceeds the
+ * size limit and with 415 as soon as its first bytes aren't an image. On
+ * failure the stream is paused rather than destroyed, so the error can still
+ * be answered before the connection closes.
+ * @param {import('node:stream').Readable} stream – request or multipart file
+ * @returns {Promise<{ mediaType: string, size: number }>}
+ */
+function receiveImage(stream, tmpPath) {
+  return new Promise((resolve, reject) => {
+    const file = createWriteStream(tmpPath);
+    let head = Buffer.alloc(0);
+    let size = 0;
+    let done = false;
 
-  const resp = await fetch(CONFIG.api.anthropic.baseUrl, {
-    method: 'POST',
-    headers: {
-      'content-type': 'application/json',
-      'x-api-key': CONFIG.api.anthropic.key,
-      'anthropic-version': CONFIG.api.anthropic.apiVersion,
-    },
-    body: JSON.stringify(body),
+    const fail = (err) => {
+      if (done) return;
+      done = true;
+      stream.removeListener('data', onData);
+      stream.pause();
+      file.destroy();
+      unlink(tmpPath).catch(() => {}).finally(() => reject(err));
+    };
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > CONFIG.uploads.maxImageBytes) {
+        fail(httpError(413, `Image exceeds ${CONFIG.uploads.maxImageBytes} bytes`));
+        return;
+      }
+
+      if (head.length < SIGNATURE_BYTES) {
+        head = Buffer.concat([head, chunk.subarray(0, SIGNATURE_BYTES - head.length)]);
+        if (head.length === SIGNATURE_BYTES && !sniffImageType(head)) {
+          fail(httpError(415, 'Upload is not a PNG, JPEG, GIF or WebP image'));
+          return;
+        }
+      }
+
+      if (!file.write(chunk)) {
+        stream.pause();
+        file.once('drain', () => !done && stream.resume());
+      }
+    };
+
+    stream.on('data', onData);
+    stream.once('error', fail);
+    file.once('error', fail);
+    stream.once('close', () => fail(new Error('Upload aborted')));
+    stream.once('end', () => {
+      const mediaType = sniffImageType(head);
+      if (!mediaType) {
+        fail(httpError(415, 'Upload is not a PNG, JPEG, GIF or WebP image'));
+        return;
+      }
+
+      done = true;
+      file.end(() => resolve({ mediaType, size }));
+    });
   });
+}
 
-  if (!resp.ok) {
-    const errText = await resp.text();
-    throw new Error(`Anthropic API error: ${resp.status} — ${errText}`);
-  }
+/**
+ * Parses a multipart/form-data upload with either a "transcript" field (and
+ * optionally a "segments" field) or an "image" file; the image is streamed
+ * to tmpPath.
+ * @returns {Promise<{ transcript?: string, segments?: string, image?: { mediaType: string, size: number } }>}
+ */
+function receiveMultipart(req, tmpPath) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: 1, fields: 10, fieldSize: CONFIG.uploads.maxTranscriptBytes }
+      });
+    } catch (err) {
+      reject(httpError(400, err.message));
+      return;
+    }
+
+    const fail = (err) => {
+      req.unpipe(parser);
+      req.pause();
+      reject(err);
+    };
+
+    const result = {};
+    let upload = Promise.resolve();
+
+    parser.on('field', (name, value, info) => {
+      if (info.valueTruncated) {
+        fail(httpError(413, `Field "${name}" exceeds ${CONFIG.uploads.maxTranscriptBytes} bytes`));
+      } else if (name === 'transcript' || name === 'segments') {
+        result[name] = value;
+      }
+    });
+    parser.on('file', (name, file) => {
+      if (name !== 'image') {
+        file.resume();
+        return;
+      }
+      upload = receiveImage(file, tmpPath).then((image) => {
+        result.image = image;
+      }, fail);
+    });
+    parser.on('close', () => upload.then(() => resolve(result)));
+    parser.on('error', (err) => fail(httpError(400, err.message)));
 
-  const data = await resp.json();
-  // The model's answer is usually the first content block, type === 'text'.
-  const contentBlock = data?.content?.find((c) => c.type === 'text');
-  return contentBlock?.text ?? 'No description returned.';
+    req.pipe(parser);
+  });
 }
 
 // ============================================================================
-// Request Handlers
+// Frame Deduplication
 // ============================================================================
+//
+// CameraOutput sends a frame every few seconds, so a wearer sitting still
+// produces runs of identical-looking images. Every frame gets a difference
+// hash (dHash: one bit per horizontally adjacent cell pair of a 9×8
+// grayscale grid). A frame whose hash is close to the previous kept frame's
+// isn't stored; the kept capture's `seenUntil` moves forward instead. Frames
+// uploaded late (from the glasses' queue) are compared with the kept frame
+// preceding their capture time.
+
+const dedup = {
+  // Most recent kept frame: { id, hash, capturedAt, seenAt }
+  last: null
+};
+
+function keptFrame(record) {
+  return {
+    id: record.id,
+    hash: record.phash,
+    capturedAt: new Date(record.capturedAt),
+    seenAt: new Date(record.seenUntil ?? record.capturedAt)
+  };
+}
 
 /**
- * Handles the /echo endpoint request
+ * Finds the kept frame a frame captured at `capturedAt` is compared with.
  */
-async function handleEchoRequest(req, res) {
+function previousKeptFrame(capturedAt) {
+  // Live frames arrive in order, so it's usually the most recent one
+  const last = dedup.last;
+  if (last && capturedAt >= last.capturedAt && captureStore.get(last.id)) return last;
+
+  const previous = captureStore.list({ type: 'image', to: capturedAt }).filter((record) => record.phash).at(-1);
+  return previous ? keptFrame(previous) : null;
+}
+
+/**
+ * Compares live frames with a newly kept one, unless a newer frame is
+ * already kept.
+ */
+function rememberKeptFrame(record) {
+  if (!dedup.last || new Date(record.capturedAt) >= dedup.last.capturedAt) {
+    dedup.last = keptFrame(record);
+  }
+}
+
+/**
+ * Decodes a PNG or JPEG image to RGBA pixels.
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+function decodeImage(buffer, mediaType) {
+  if (mediaType === 'image/png') return PNG.sync.read(buffer);
+  if (mediaType === 'image/jpeg') return jpeg.decode(buffer, { useTArray: true, maxMemoryUsageInMB: 256 });
+  throw new Error(`Can't hash ${mediaType} images`);
+}
+
+/**
+ * Computes the 64-bit difference hash of decoded pixels.
+ * @returns {string} – 16 hex digits
+ */
+function differenceHash({ width, height, data }) {
+  const cols = 9;
+  const rows = 8;
+  const sums = new Float64Array(cols * rows);
+  const counts = new Uint32Array(cols * rows);
+
+  // Average every cell of the grid to one luminance value
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor((y * rows) / height);
+    for (let x = 0; x < width; x++) {
+      const cell = row * cols + Math.floor((x * cols) / width);
+      const i = (y * width + x) * 4;
+      sums[cell] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      counts[cell]++;
+    }
+  }
+
+  let hash = 0n;
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols - 1; col++) {
+      const cell = row * cols + col;
+      const brighter = sums[cell] / counts[cell] > sums[cell + 1] / counts[cell + 1];
+      hash = (hash << 1n) | (brighter ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+function hammingDistance(a, b) {
+  let bits = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  for (; bits > 0n; bits >>= 1n) distance += Number(bits & 1n);
+  return distance;
+}
+
+/**
+ * Hashes a frame and compares it with the previous kept frame.
+ * @returns {{ hash: string | null, comparedTo: string | null, distance: number | null, duplicate: boolean, error?: string }}
+ */
+function compareWithPreviousFrame(buffer, mediaType, capturedAt) {
+  let hash;
   try {
-    const body = await consumeJSON(req);
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ received: body }, null, 2));
-  } catch {
-    res.writeHead(400, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Invalid JSON' }));
+    hash = differenceHash(decodeImage(buffer, mediaType));
+  } catch (err) {
+    // Still store frames that can't be hashed; they just can't be deduplicated
+    return { hash: null, comparedTo: null, distance: null, duplicate: false, error: err.message };
+  }
+
+  const previous = previousKeptFrame(capturedAt);
+  // The previous frame may have been seen too long ago
+  if (!previous || capturedAt - previous.seenAt > CONFIG.dedup.maxGapMs) {
+    return { hash, comparedTo: null, distance: null, duplicate: false };
   }
+
+  const distance = hammingDistance(hash, previous.hash);
+  return {
+    hash,
+    comparedTo: previous.id,
+    distance,
+    duplicate: CONFIG.dedup.enabled && distance <= CONFIG.dedup.maxDistance
+  };
 }
 
 /**
- * Handles the /media endpoint request for transcript uploads
+ * Extends the previous kept frame's time span to a duplicate frame.
+ * @returns {Promise<object>} – the updated capture record
  */
-async function handleTranscriptUpload(body, res) {
-  await ensureDir(CONFIG.paths.transcripts);
-  const filename = `${timestampName()}.txt`;
-  const filepath = path.join(CONFIG.paths.transcripts, filename);
-  await writeFile(filepath, body.transcript, 'utf8');
+async function mergeDuplicateFrame(frame, capturedAt) {
+  const previous = captureStore.get(frame.comparedTo);
+  // A frame uploaded late may fall inside the span seen already
+  const seenUntil = new Date(Math.max(capturedAt, new Date(previous.seenUntil ?? previous.capturedAt)));
+  if (dedup.last?.id === previous.id) {
+    dedup.last.seenAt = seenUntil;
+  }
 
-  res.writeHead(200, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ saved: path.relative('.', filepath) }));
+  return captureStore.put({
+    id: previous.id,
+    seenUntil: seenUntil.toISOString(),
+    duplicates: (previous.duplicates ?? 0) + 1,
+    lastDuplicateDistance: frame.distance
+  });
 }
 
 /**
- * Handles the /media endpoint request for image uploads
+ * Picks up the most recent kept frame after a restart.
  */
-async function handleImageUpload(body, res) {
-  // Determine media type (default to PNG if not provided)
-  const mediaType = body.mediaType ?? 'image/png';
-  await ensureDir(CONFIG.paths.images);
-  const baseName = timestampName();
-  const imgPath = path.join(CONFIG.paths.images, `${baseName}.${mediaType.split('/')[1]}`);
-  const txtPath = path.join(CONFIG.paths.images, `${baseName}.txt`);
+function recoverLastFrame() {
+  const last = captureStore.list({ type: 'image' }).filter((record) => record.phash).at(-1);
+  if (last) {
+    dedup.last = keptFrame(last);
+  }
+}
 
-  // Save image file
-  await writeFile(imgPath, Buffer.from(body.image, 'base64'));
+// ============================================================================
+// Thumbnails
+// ============================================================================
+//
+// The timeline UI shows images as thumbnails. They are made on first request,
+// cached in ./thumbnails as JPEGs and deleted together with their capture.
 
-  // Call Anthropic to describe the image
-  const description = await describeImageWithAnthropic(body.image, mediaType);
-  await writeFile(txtPath, description, 'utf8');
+// Capture ID → thumbnail being made, so concurrent requests make it once
+const thumbnailJobs = new Map();
 
-  res.writeHead(200, { 'Content-Type': 'application/json' });
-  res.end(
-    JSON.stringify({ saved_image: path.relative('.', imgPath), description_file: path.relative('.', txtPath) })
-  );
+function thumbnailPath(id) {
+  return path.join(CONFIG.paths.thumbnails, `${id}.jpg`);
 }
 
 /**
- * Handles the /media endpoint request
+ * Shrinks decoded pixels so the longest side is at most maxSize, averaging
+ * the source pixels each target pixel covers.
+ * @returns {{ width: number, height: number, data: Uint8Array }}
  */
-async function handleMediaRequest(req, res) {
-  try {
-    const body = await consumeJSON(req);
+function downscale({ width, height, data }, maxSize) {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const targetWidth = Math.max(1, Math.round(width * scale));
+  const targetHeight = Math.max(1, Math.round(height * scale));
+  const target = new Uint8Array(targetWidth * targetHeight * 4);
 
-    // Expect either { transcript: "..." } OR { image: "base64Data", mediaType?: "image/png" }
-    if (typeof body.transcript === 'string') {
-      await handleTranscriptUpload(body, res);
-      return;
-    }
+  for (let ty = 0; ty < targetHeight; ty++) {
+    const y0 = Math.floor((ty * height) / targetHeight);
+    const y1 = Math.max(y0 + 1, Math.floor(((ty + 1) * height) / targetHeight));
+    for (let tx = 0; tx < targetWidth; tx++) {
+      const x0 = Math.floor((tx * width) / targetWidth);
+      const x1 = Math.max(x0 + 1, Math.floor(((tx + 1) * width) / targetWidth));
 
-    if (typeof body.image === 'string') {
-      await handleImageUpload(body, res);
-      return;
+      const sums = [0, 0, 0];
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * width + x) * 4;
+          sums[0] += data[i];
+          sums[1] += data[i + 1];
+          sums[2] += data[i + 2];
+        }
+      }
+
+      const count = (y1 - y0) * (x1 - x0);
+      const t = (ty * targetWidth + tx) * 4;
+      target[t] = sums[0] / count;
+      target[t + 1] = sums[1] / count;
+      target[t + 2] = sums[2] / count;
+      target[t + 3] = 255;
     }
+  }
 
-    // If neither transcript nor image provided
-    res.writeHead(400, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Request must include a "transcript" or "image" field.' }));
+  return { width: targetWidth, height: targetHeight, data: target };
+}
+
+/**
+ * Returns the path of an image capture's thumbnail, making it first if it
+ * isn't cached yet.
+ * @returns {Promise<string | null>} – null if the image can't be decoded
+ */
+async function getThumbnail(record) {
+  const file = thumbnailPath(record.id);
+  try {
+    await stat(file);
+    return file;
   } catch (err) {
-    res.writeHead(500, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: err.message }));
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  if (!thumbnailJobs.has(record.id)) {
+    const job = createThumbnail(record, file).finally(() => thumbnailJobs.delete(record.id));
+    thumbnailJobs.set(record.id, job);
+  }
+  return thumbnailJobs.get(record.id);
+}
+
+async function createThumbnail(record, file) {
+  const buffer = await readFile(captureStore.resolve(record.files.image));
+
+  let pixels;
+  try {
+    pixels = decodeImage(buffer, record.mediaType);
+  } catch {
+    // GIF and WebP images are shown as they are
+    return null;
+  }
+
+  const { data } = jpeg.encode(downscale(pixels, CONFIG.thumbnails.maxSize), CONFIG.thumbnails.quality);
+  await ensureDir(CONFIG.paths.thumbnails);
+  await writeFile(`${file}.tmp`, data);
+  await rename(`${file}.tmp`, file);
+
+  // The capture may have been deleted in the meantime
+  if (!captureStore.get(record.id)) {
+    await unlink(file).catch(() => {});
+    return null;
   }
+  return file;
 }
 
 // ============================================================================
-// Server Setup
+// API Service
 // ============================================================================
 
-const server = createServer(async (req, res) => {
-  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+/**
+ * Asks the configured vision model to describe a base64 image.
+ * @param {string} base64Data – image bytes encoded as base64 (PNG/JPEG/…)
+ * @param {string} mediaType  – e.g. "image/png"
+ * @returns {Promise<string>} – the model's textual description
+ */
+async function describeImage(base64Data, mediaType) {
+  const { text } = await describeLLM.complete({
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'image', mediaType, data: base64Data },
+          { type: 'text', text: 'Please describe this image in detail.' }
+        ]
+      }
+    ]
+  });
+  return text || 'No description returned.';
+}
 
-  // ---- simple timing / logging ----
-  const start = process.hrtime.bigint();
-  console.log(`→ ${req.method} ${pathname}`);
-  res.on('finish', () => {
-    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
-    console.log(`← ${req.method} ${pathname} ${res.statusCode} ${durationMs.toFixed(1)}ms`);
+/**
+ * Asks the configured vision model for a few short keywords naming the most
+ * prominent objects or features of a base64 image.
+ * @returns {Promise<string[]>} – lowercase, at most CONFIG.keywords.max
+ */
+async function extractKeywords(base64Data, mediaType) {
+  const { text } = await keywordsLLM.complete({
+    system: 'You are a visual object detection assistant. ' +
+      'Analyze the image and identify the most prominent objects or features. ' +
+      'Respond ONLY with a JSON object of format: {"keywords": ["keyword1", "keyword2", ...]}. ' +
+      `Provide a maximum of ${CONFIG.keywords.max} keywords. Keep keywords very short (1-2 words max).`,
+    messages: [
+      {
+        role: 'user',
+        content: [{ type: 'image', mediaType, data: base64Data }]
+      }
+    ]
   });
 
-  // -------- Route handling ------------------------------------------------
-  if (req.method === 'POST' && pathname === '/echo') {
-    await handleEchoRequest(req, res);
-    return;
+  let keywords;
+  try {
+    ({ keywords } = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] ?? ''));
+  } catch {
+    throw new Error('Keyword response is not a JSON object');
   }
+  if (!Array.isArray(keywords)) throw new Error('Keyword response has no "keywords" array');
 
-  if (req.method === 'POST' && pathname === '/media') {
-    await handleMediaRequest(req, res);
-    return;
-  }
+  return normalizeKeywords(keywords);
+}
 
-  // -------- 404 for all other routes ---------------------------------------
-  res.writeHead(404, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ error: 'Not found' }));
-});
+/**
+ * Lowercases keywords and drops empty, overlong and repeated ones.
+ * @returns {string[]} – at most CONFIG.keywords.max
+ */
+function normalizeKeywords(keywords) {
+  const normalized = keywords
+    .filter((keyword) => typeof keyword === 'string')
+    .map((keyword) => keyword.trim().toLowerCase())
+    .filter((keyword) => keyword && keyword.length <= CONFIG.keywords.maxLength);
+  return [...new Set(normalized)].slice(0, CONFIG.keywords.max);
+}
+
+const ANALYSIS_PROMPT = `Analyze this image. Reply with only a JSON object that matches this JSON Schema:
+${JSON.stringify(IMAGE_ANALYSIS_SCHEMA)}
+
+- caption: one sentence saying what the image shows
+- sceneType: a short lowercase label for the place or kind of scene, e.g. "office", "kitchen", "street", "screen"
+- objects: the notable objects as lowercase singular names with how many are visible, most prominent first
+- text: all legible text exactly as written, one entry per line (an empty array if there is none)
+- peopleCount: how many people are visible (0 if none)`;
+
+/**
+ * Asks the configured vision model for a structured analysis of a base64
+ * image. A reply that doesn't match the schema is sent back with what's
+ * wrong with it.
+ * @returns {Promise<object>} – the validated analysis (see ../shared/analysis.js)
+ * @throws {Error} – with `problems` if the last reply was still invalid
+ */
+async function analyzeImage(base64Data, mediaType) {
+  const messages = [
+    {
+      role: 'user',
+      content: [
+        { type: 'image', mediaType, data: base64Data },
+        { type: 'text', text: ANALYSIS_PROMPT }
+      ]
+    }
+  ];
+
+  for (let reply = 1; ; reply++) {
+    const { text } = await analyzeLLM.complete({ messages });
+
+    try {
+      let parsed;
+      try {
+        parsed = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] ?? '');
+      } catch {
+        throw Object.assign(new Error('Invalid image analysis: not a JSON object'), { problems: ['the reply is not a JSON object'] });
+      }
+      return parseAnalysis(parsed);
+    } catch (err) {
+      if (reply >= CONFIG.analysis.maxReplies) throw err;
+
+      messages.push(
+        { role: 'assistant', content: [{ type: 'text', text }] },
+        {
+          role: 'user',
+          content: [{ type: 'text', text: `That reply doesn't match the schema: ${err.problems.join('; ')}. Reply with the corrected JSON object only.` }]
+        }
+      );
+    }
+  }
+}
 
 // ============================================================================
-// Server Startup
+// Image Keywords
 // ============================================================================
+//
+// The glasses show a few keywords for each image, so they don't need to call
+// a model themselves. The description job takes them from the image's
+// analysis (the most prominent objects), or asks for them separately when
+// analyses are off or the analysis was discarded. They are sent as a
+// "keywords" event and kept in the capture record, so the glasses can fetch
+// them from GET /media/{id} and the timeline and the mcp-server can search
+// them.
 
-server.listen(CONFIG.server.port, () => {
-  console.log(`🚀  Listening on http://localhost:${CONFIG.server.port}/echo and /media`);
+/**
+ * Stores an image's keywords and announces them.
+ */
+async function storeKeywords(record, keywords) {
+  await captureStore.put({ id: record.id, keywords });
+  publishEvent('keywords', { id: record.id, capturedAt: record.capturedAt, keywords });
+}
+
+/**
+ * Keywords from a stored (already redacted) analysis: its objects, most
+ * prominent first.
+ * @returns {string[]}
+ */
+function keywordsFromAnalysis(analysis) {
+  return normalizeKeywords(analysis.objects.map((object) => object.name));
+}
+
+/**
+ * Asks the keywords model for an image's keywords and stores them; a failure
+ * only leaves the image without.
+ */
+async function findKeywords(record, imageData) {
+  try {
+    const keywords = redactKeywords(await extractKeywords(imageData, record.mediaType));
+
+    // The capture may have been deleted in the meantime
+    if (!captureStore.get(record.id)) return;
+    await storeKeywords(record, keywords);
+  } catch (err) {
+    console.warn(`⚠️  Keywords of ${record.id} failed: ${err.message}`);
+  }
+}
+
+/**
+ * Applies the storage redaction stage to keywords. Unlike texts, their
+ * originals aren't kept in the vault.
+ */
+function redactKeywords(keywords) {
+  return redactor.isEnabled('storage') ? keywords.map((keyword) => redactor.redact(keyword).text) : keywords;
+}
+
+// ============================================================================
+// Description Queue
+// ============================================================================
+//
+// Image descriptions are produced in the background. The job state lives in
+// the capture records themselves (status "pending" → "processing" →
+// "described" | "failed", plus attempts/nextAttemptAt), so the queue
+// survives restarts: recoverDescriptionJobs() re-queues every image that
+// has no description yet. The same job adds the structured analysis; it's
+// saved separately, so a retry doesn't describe the image again, and images
+// described before analyses existed get one too.
+
+const descriptionQueue = {
+  ready: [],        // capture IDs waiting for a free slot
+  queued: new Set(), // IDs that are ready, running or waiting for a retry timer
+  running: 0
+};
+
+/**
+ * Queues a description job, optionally after a delay.
+ * @param {string} id – capture ID of an image record
+ * @param {number} delayMs
+ */
+function enqueueDescription(id, delayMs = 0) {
+  if (descriptionQueue.queued.has(id)) return;
+  descriptionQueue.queued.add(id);
+
+  const makeReady = () => {
+    descriptionQueue.ready.push(id);
+    drainDescriptionQueue();
+  };
+
+  if (delayMs > 0) {
+    setTimeout(makeReady, delayMs).unref();
+  } else {
+    makeReady();
+  }
+}
+
+/**
+ * Starts queued jobs while there are free slots.
+ */
+function drainDescriptionQueue() {
+  while (descriptionQueue.running < CONFIG.queue.concurrency && descriptionQueue.ready.length > 0) {
+    const id = descriptionQueue.ready.shift();
+    descriptionQueue.running++;
+
+    runDescriptionJob(id)
+      .catch((err) => console.error(`⚠️  Description job ${id} crashed: ${err.message}`))
+      .finally(() => {
+        descriptionQueue.running--;
+        drainDescriptionQueue();
+      });
+  }
+}
+
+/**
+ * Computes the delay before the next attempt: the API's Retry-After for rate
+ * limits, otherwise exponential backoff with a little jitter.
+ */
+function retryDelayMs(err, attempts) {
+  if (err.status === 429 && err.retryAfterMs) return err.retryAfterMs;
+
+  const backoff = CONFIG.queue.baseDelayMs * 2 ** (attempts - 1);
+  return Math.min(backoff, CONFIG.queue.maxDelayMs) * (0.8 + Math.random() * 0.4);
+}
+
+/**
+ * Whether an image has everything the description job produces.
+ */
+function isDescribed(record) {
+  const analyzed = !CONFIG.analysis.enabled || Boolean(record.files.analysis || record.analysisError);
+  return Boolean(record.files.text) && analyzed;
+}
+
+/**
+ * Describes one image and records the outcome.
+ */
+async function runDescriptionJob(id) {
+  const record = captureStore.get(id);
+  if (!record || record.type !== 'image' || isDescribed(record)) {
+    descriptionQueue.queued.delete(id);
+    return;
+  }
+
+  const attempts = (record.attempts ?? 0) + 1;
+  await captureStore.put({ id, status: 'processing', attempts });
+
+  try {
+    const imageData = (await readFile(captureStore.resolve(record.files.image))).toString('base64');
+    let files = record.files;
+
+    // Analyzed first, since the glasses wait for the keywords taken from it
+    let analysis = null;
+    let analysisError = record.analysisError ?? null;
+    if (CONFIG.analysis.enabled && !files.analysis && !analysisError) {
+      try {
+        analysis = await analyzeImage(imageData, record.mediaType);
+      } catch (err) {
+        // A model that keeps answering off-schema won't do better on a retry
+        if (!err.problems) throw err;
+        analysisError = err.message;
+        console.warn(`⚠️  Analysis of ${id} discarded: ${err.message}`);
+      }
+
+      // The capture may have been deleted while it was being analyzed
+      if (!captureStore.get(id)) {
+        descriptionQueue.queued.delete(id);
+        return;
+      }
+      if (analysis) {
+        const stored = await storeAnalysis(id, analysis);
+        analysis = stored.analysis;
+        files = { ...files, ...stored.files };
+      }
+      // Saved right away, so a failing description doesn't cost the analysis
+      await captureStore.put({ id, files, analysisError });
+    }
+
+    if (CONFIG.keywords.enabled && !record.keywords) {
+      if (analysis) {
+        await storeKeywords(record, keywordsFromAnalysis(analysis));
+      } else {
+        await findKeywords(record, imageData);
+      }
+    }
+
+    if (!files.text) {
+      const description = await describeImage(imageData, record.mediaType);
+
+      if (!captureStore.get(id)) {
+        descriptionQueue.queued.delete(id);
+        return;
+      }
+
+      const txtPath = path.join(CONFIG.paths.images, `${id}.txt`);
+      const { text, files: vaultFiles, redactions } = await redactForStorage(id, description);
+      await writeFile(txtPath, text, 'utf8');
+      files = { ...files, ...vaultFiles, text: storePath(txtPath) };
+      await captureStore.put({ id, files, redactions });
+    }
+
+    await captureStore.put({
+      id,
+      files,
+      status: 'described',
+      error: null,
+      nextAttemptAt: null,
+      analysisError
+    });
+    descriptionQueue.queued.delete(id);
+    publishEvent('description', {
+      id,
+      capturedAt: record.capturedAt,
+      status: 'described',
+      text: await readFile(captureStore.resolve(files.text), 'utf8'),
+      analysis
+    });
+  } catch (err) {
+    descriptionQueue.queued.delete(id);
+
+    // Client errors other than rate limits won't succeed on retry
+    const retryable = err.status === undefined || err.status === 429 || err.status >= 500;
+    if (!retryable || attempts >= CONFIG.queue.maxAttempts) {
+      await captureStore.put({ id, status: 'failed', error: err.message, nextAttemptAt: null });
+      console.error(`❌  Describing ${id} failed after ${attempts} attempt(s): ${err.message}`);
+      publishEvent('description', { id, capturedAt: record.capturedAt, status: 'failed', error: err.message });
+      return;
+    }
+
+    const delayMs = retryDelayMs(err, attempts);
+    await captureStore.put({
+      id,
+      status: 'pending',
+      error: err.message,
+      nextAttemptAt: new Date(Date.now() + delayMs).toISOString()
+    });
+    console.warn(`⏳  Describing ${id} failed (attempt ${attempts}), retrying in ${Math.round(delayMs / 1000)}s: ${err.message}`);
+    enqueueDescription(id, delayMs);
+  }
+}
+
+/**
+ * Writes an image's analysis sidecar with the storage redaction stage
+ * applied; redacted originals get their own vault file.
+ * @returns {Promise<{ analysis: object, files: object }>} – the stored analysis
+ *   and the files to add to the record
+ */
+async function storeAnalysis(id, analysis) {
+  const { value: redacted, files } = await redactValuesForStorage(`${id}.analysis`, analysis);
+  const sidecar = { version: ANALYSIS_VERSION, ...redacted, analyzedAt: new Date().toISOString() };
+
+  const jsonPath = path.join(CONFIG.paths.images, `${id}.json`);
+  await writeFile(jsonPath, JSON.stringify(sidecar, null, 2), 'utf8');
+  return {
+    analysis: sidecar,
+    files: { analysis: storePath(jsonPath), ...(files.vault && { analysisVault: files.vault }) }
+  };
+}
+
+/**
+ * Re-queues every image without a description or analysis: jobs
+ * interrupted by a restart, pending retries and images that failed before.
+ */
+async function recoverDescriptionJobs() {
+  const orphaned = captureStore.list({ type: 'image' }).filter((record) => !isDescribed(record));
+
+  for (const record of orphaned) {
+    // Images that gave up earlier or were cut off mid-job get a fresh set of
+    // attempts ('describing' is what older versions wrote while describing)
+    if (record.status === 'failed' || record.status === 'processing' || record.status === 'describing') {
+      await captureStore.put({ id: record.id, status: 'pending', attempts: 0 });
+    }
+
+    const delayMs = record.nextAttemptAt ? Math.max(0, Date.parse(record.nextAttemptAt) - Date.now()) : 0;
+    enqueueDescription(record.id, delayMs);
+  }
+
+  if (orphaned.length > 0) {
+    console.log(`🔁  Re-queued ${orphaned.length} image(s) without a description or analysis`);
+  }
+}
+
+// ============================================================================
+// Digests
+// ============================================================================
+//
+// A background job summarizes the captures of every hour, then the hour
+// digests of every day, into ./digests (see ../shared/digests.js). Only
+// digests whose sources changed since they were generated are rebuilt.
+
+const digestJob = { running: false };
+
+/**
+ * Brings all hour and day digests up to date and removes the ones whose
+ * captures are gone.
+ */
+async function generateDigests() {
+  // A slow run must not overlap with the next one
+  if (digestJob.running) return;
+  digestJob.running = true;
+
+  try {
+    let generated = 0;
+
+    const byHour = groupBy(
+      captureStore.list().filter((record) => record.files.text),
+      (record) => digestKey('hour', new Date(record.capturedAt))
+    );
+    for (const [key, records] of byHour) {
+      const sources = records.map((record) => record.id);
+      const sourceUpdatedAt = latest(records.map((record) => record.updatedAt));
+      if (isCurrentDigest(await digestStore.read('hour', key), sources, sourceUpdatedAt)) continue;
+
+      await digestStore.write(await summarizeHour(key, records, sources, sourceUpdatedAt));
+      generated++;
+    }
+    for (const key of await digestStore.keys('hour')) {
+      if (!byHour.has(key)) await digestStore.remove('hour', key);
+    }
+
+    const byDay = groupBy(await digestStore.list('hour'), (hour) => digestKey('day', new Date(hour.start)));
+    for (const [key, hours] of byDay) {
+      const sources = hours.map((hour) => hour.key);
+      const sourceUpdatedAt = latest(hours.map((hour) => hour.generatedAt));
+      if (isCurrentDigest(await digestStore.read('day', key), sources, sourceUpdatedAt)) continue;
+
+      await digestStore.write(await summarizeDay(key, hours, sources, sourceUpdatedAt));
+      generated++;
+    }
+    for (const key of await digestStore.keys('day')) {
+      if (!byDay.has(key)) await digestStore.remove('day', key);
+    }
+
+    if (generated > 0) {
+      console.log(`📝  Generated ${generated} digest(s)`);
+    }
+  } finally {
+    digestJob.running = false;
+  }
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+function latest(timestamps) {
+  return timestamps.reduce((a, b) => (a > b ? a : b));
+}
+
+function isCurrentDigest(digest, sources, sourceUpdatedAt) {
+  return digest !== null &&
+    digest.sourceUpdatedAt === sourceUpdatedAt &&
+    digest.sources.join(',') === sources.join(',');
+}
+
+async function summarizeHour(key, records, sources, sourceUpdatedAt) {
+  const parts = [];
+  let remainingChars = CONFIG.digests.maxInputChars;
+
+  for (const record of records) {
+    if (remainingChars <= 0) break;
+
+    const text = await readFile(captureStore.resolve(record.files.text), 'utf8').catch(() => '');
+    const content = redactForPrompt(text).substring(0, Math.min(CONFIG.digests.maxCaptureChars, remainingChars));
+    if (!content.trim()) continue;
+
+    remainingChars -= content.length;
+    const time = new Date(record.capturedAt).toLocaleTimeString();
+    parts.push(`<${record.type} id="${record.id}" time="${time}">\n${content}\n</${record.type}>`);
+  }
+
+  const imageIds = records.filter((record) => record.type === 'image').map((record) => record.id);
+  const content = await requestDigest(`the hour from ${key.replace('T', ' ')}:00`, parts.join('\n'), imageIds);
+  return createDigest('hour', key, content, sources, sourceUpdatedAt);
+}
+
+async function summarizeDay(key, hours, sources, sourceUpdatedAt) {
+  const parts = hours.map((hour) => [
+    `<hour time="${new Date(hour.start).toLocaleTimeString()}">`,
+    hour.summary,
+    `Topics: ${hour.topics.join(', ') || 'none'}`,
+    `People: ${hour.people.join(', ') || 'none'}`,
+    `Notable images: ${hour.notableImages.map((image) => `${image.id} (${image.reason})`).join('; ') || 'none'}`,
+    '</hour>'
+  ].join('\n'));
+
+  const imageIds = hours.flatMap((hour) => hour.notableImages.map((image) => image.id));
+  const content = await requestDigest(`the day ${key}`, parts.join('\n'), imageIds);
+  return createDigest('day', key, content, sources, sourceUpdatedAt);
+}
+
+/**
+ * Asks the digest model to summarize a period.
+ * @param {string} period – e.g. "the day 2025-05-17"
+ * @param {string} material – tagged transcripts, descriptions or hour digests
+ * @param {string[]} imageIds – the only image IDs the digest may name
+ */
+async function requestDigest(period, material, imageIds) {
+  const prompt = `<material>
+${material}
+</material>
+
+Summarize what the wearer of a camera and microphone experienced during ${period}, based on the material above. Reply with only a JSON object of this shape:
+{"summary": "2-4 sentences", "topics": ["key topics, most important first"], "people": ["people mentioned or seen"], "notableImages": [{"id": "image id from the material", "reason": "why it is worth looking at"}]}
+Leave arrays empty when nothing fits, and only use image ids that appear in the material.`;
+
+  const { text } = await digestLLM.complete({
+    messages: [{ role: 'user', content: [{ type: 'text', text: prompt }] }]
+  });
+  return parseDigestResponse(text, imageIds);
+}
+
+function parseDigestResponse(text, imageIds) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] ?? '');
+  } catch {
+    // Keep a prose answer as the summary rather than losing it
+    parsed = { summary: text.trim() };
+  }
+
+  const strings = (value) => (Array.isArray(value) ? value : [])
+    .filter((item) => typeof item === 'string' && item.trim())
+    .map((item) => item.trim());
+
+  return {
+    summary: typeof parsed.summary === 'string' ? parsed.summary.trim() : '',
+    topics: strings(parsed.topics),
+    people: strings(parsed.people),
+    notableImages: (Array.isArray(parsed.notableImages) ? parsed.notableImages : [])
+      .filter((image) => imageIds.includes(image?.id))
+      .map((image) => ({ id: image.id, reason: typeof image.reason === 'string' ? image.reason : '' }))
+  };
+}
+
+function createDigest(period, key, content, sources, sourceUpdatedAt) {
+  const { start, end } = digestBounds(period, key);
+  return {
+    period,
+    key,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    ...content,
+    sources,
+    sourceUpdatedAt,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Removes the hour and day digests that cover deleted captures; the next
+ * run rebuilds them from what's left.
+ */
+async function removeDigestsFor(records) {
+  for (const record of records) {
+    const capturedAt = new Date(record.capturedAt);
+    await digestStore.remove('hour', digestKey('hour', capturedAt));
+    await digestStore.remove('day', digestKey('day', capturedAt));
+  }
+}
+
+function startDigestJob() {
+  if (!CONFIG.digests.intervalMs) return;
+
+  const run = () => generateDigests().catch((err) =>
+    console.error(`⚠️  Digest generation failed: ${err.message}`)
+  );
+
+  run();
+  setInterval(run, CONFIG.digests.intervalMs).unref();
+}
+
+// ============================================================================
+// Conversations
+// ============================================================================
+//
+// Transcripts are re-segmented into conversations (see
+// ../shared/conversations.js) whenever captures are added or deleted; a new
+// transcript only re-segments the conversations it could join. A background
+// job titles conversations once they are closed.
+
+const conversationJob = { running: false, queue: Promise.resolve() };
+
+// Updates run one at a time, or a slow one could overwrite a newer result
+function enqueueConversationTask(task) {
+  const result = conversationJob.queue.then(task);
+  conversationJob.queue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Re-segments transcripts and saves the result. Titles are kept for
+ * conversations whose transcripts didn't change.
+ * @param {Date | null} from – capture time of the earliest transcript added
+ *   since the last update; only conversations that could take it in are
+ *   re-segmented. null re-segments all of them, e.g. after deletions.
+ * @returns {Promise<object[]>} – the conversations
+ */
+function updateConversations(from = null) {
+  return enqueueConversationTask(async () => {
+    const loaded = await conversationStore.load();
+    const { gapMs } = CONFIG.conversations;
+
+    // Conversations that ended more than a gap before `from` stay as they are
+    let kept = [];
+    let tailStart = null;
+    if (from) {
+      const cut = loaded.findIndex((conversation) => from - new Date(conversation.end) <= gapMs);
+      kept = cut === -1 ? loaded : loaded.slice(0, cut);
+      tailStart = cut === -1 ? from : new Date(Math.min(from, new Date(loaded[cut].start)));
+    }
+    const tail = loaded.slice(kept.length);
+
+    const previous = new Map(tail.map((conversation) => [conversation.id, conversation]));
+    // Speaker names stay with the transcripts when conversations merge or split
+    const previousByTranscript = new Map(
+      tail.flatMap((conversation) => conversation.transcriptIds.map((id) => [id, conversation]))
+    );
+
+    const resegmented = segmentConversations(
+      captureStore.list({ type: 'transcript', from: tailStart }),
+      captureStore.list({ type: 'image', from: tailStart && new Date(tailStart - gapMs) }),
+      gapMs
+    ).map((conversation) => {
+      const before = previous.get(conversation.id);
+      const unchanged = before?.title && before.transcriptIds.join(',') === conversation.transcriptIds.join(',');
+      const speakers = Object.assign({}, ...new Set(
+        conversation.transcriptIds.map((id) => previousByTranscript.get(id)?.speakers)
+      ));
+      return {
+        ...conversation,
+        title: unchanged ? before.title : null,
+        titledAt: unchanged ? before.titledAt : null,
+        speakers
+      };
+    });
+
+    const conversations = [...kept, ...resegmented];
+    await conversationStore.save(conversations);
+    return conversations;
+  });
+}
+
+/**
+ * Titles closed conversations that have no title yet.
+ */
+async function titleConversations() {
+  // A slow run must not overlap with the next one
+  if (conversationJob.running) return;
+  conversationJob.running = true;
+
+  try {
+    const untitled = (await updateConversations()).filter((conversation) => !conversation.open && !conversation.title);
+
+    for (const conversation of untitled) {
+      const title = await generateConversationTitle(conversation);
+
+      // Captures may have changed while the model was busy; only title what's still the same
+      await enqueueConversationTask(async () => {
+        const conversations = await conversationStore.load();
+        const current = conversations.find((candidate) => candidate.id === conversation.id);
+        if (!current || current.transcriptIds.join(',') !== conversation.transcriptIds.join(',')) return;
+
+        current.title = title;
+        current.titledAt = new Date().toISOString();
+        await conversationStore.save(conversations);
+      });
+    }
+
+    if (untitled.length > 0) {
+      console.log(`💬  Titled ${untitled.length} conversation(s)`);
+    }
+  } finally {
+    conversationJob.running = false;
+  }
+}
+
+/**
+ * Names (or un-names) speaker labels of a conversation's transcripts.
+ * @param {string} id – conversation ID
+ * @param {*} names – e.g. { "speaker 2": "Alex" }; null removes a name
+ * @returns {Promise<object>} – the conversation
+ */
+function nameSpeakers(id, names) {
+  let parsed;
+  try {
+    parsed = parseSpeakerNames(names);
+  } catch (err) {
+    throw httpError(400, err.message);
+  }
+
+  return enqueueConversationTask(async () => {
+    const conversations = await conversationStore.load();
+    const conversation = conversations.find((candidate) => candidate.id === id);
+    if (!conversation) throw httpError(404, `No conversation with id ${id}`);
+
+    const labels = new Set(conversation.transcriptIds.flatMap((transcriptId) =>
+      (captureStore.get(transcriptId)?.speakers ?? []).map((label) => label.toLowerCase())
+    ));
+    const unknown = Object.keys(parsed).filter((label) => !labels.has(label));
+    if (unknown.length > 0) {
+      throw httpError(400, `The conversation has no speaker ${unknown.map((label) => `"${label}"`).join(', ')} ` +
+        `(its speakers: ${[...labels].join(', ') || 'none'})`);
+    }
+
+    const speakers = { ...conversation.speakers, ...parsed };
+    conversation.speakers = Object.fromEntries(Object.entries(speakers).filter(([, name]) => name !== null));
+    await conversationStore.save(conversations);
+    return conversation;
+  });
+}
+
+async function generateConversationTitle(conversation) {
+  const parts = [];
+  let remainingChars = CONFIG.conversations.maxTitleInputChars;
+
+  for (const id of conversation.transcriptIds) {
+    const record = captureStore.get(id);
+    if (!record || remainingChars <= 0) continue;
+
+    const text = await readFile(captureStore.resolve(record.files.text), 'utf8').catch(() => '');
+    const content = redactForPrompt(text).substring(0, remainingChars);
+    remainingChars -= content.length;
+    parts.push(content);
+  }
+
+  const prompt = `<conversation>
+${parts.join('\n')}
+</conversation>
+
+Give this conversation a short, specific title of at most eight words. Reply with the title only.`;
+
+  const { text } = await titleLLM.complete({
+    messages: [{ role: 'user', content: [{ type: 'text', text: prompt }] }]
+  });
+
+  // Models like to wrap titles in quotes or end them with a period
+  const title = text.trim().split('\n')[0].replace(/^["'“]+|["'”.]+$/g, '').trim();
+  return title.substring(0, 100) || 'Untitled conversation';
+}
+
+function startConversationJob() {
+  const run = () => titleConversations().catch((err) =>
+    console.error(`⚠️  Conversation update failed: ${err.message}`)
+  );
+
+  run();
+  setInterval(run, CONFIG.conversations.intervalMs).unref();
+}
+
+// ============================================================================
+// Action Items
+// ============================================================================
+//
+// Once a conversation is closed, a background job asks the model for the
+// commitments, tasks and reminders in its transcripts that weren't looked at
+// yet (see ../shared/actions.js). Earlier transcripts of the conversation go
+// along as context only.
+
+const actionItemJob = { running: false, queue: Promise.resolve() };
+
+// Changes run one at a time, so an update never overwrites newly found items
+function enqueueActionItemTask(task) {
+  const result = actionItemJob.queue.then(task);
+  actionItemJob.queue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Extracts action items from the new transcripts of closed conversations.
+ */
+async function extractActionItems() {
+  // A slow run must not overlap with the next one
+  if (actionItemJob.running) return;
+  actionItemJob.running = true;
+
+  try {
+    const extracted = new Set((await actionItemStore.load()).extractedIds);
+    const conversations = (await conversationStore.load()).filter((conversation) =>
+      !conversation.open && conversation.transcriptIds.some((id) => !extracted.has(id))
+    );
+
+    let found = 0;
+    for (const conversation of conversations) {
+      const newIds = conversation.transcriptIds.filter((id) => !extracted.has(id));
+      const items = await findActionItems(conversation, new Set(newIds));
+
+      await enqueueActionItemTask(async () => {
+        const content = await actionItemStore.load();
+        const createdAt = new Date().toISOString();
+
+        // Transcripts deleted while the model was busy take their items with them
+        for (const item of items.filter((candidate) => captureStore.get(candidate.sourceId))) {
+          const number = content.items.filter((existing) => existing.sourceId === item.sourceId).length + 1;
+          content.items.push({
+            id: `a-${item.sourceId}-${number}`,
+            ...item,
+            status: 'open',
+            note: null,
+            createdAt,
+            updatedAt: createdAt
+          });
+          found++;
+        }
+
+        content.extractedIds = [...new Set([...content.extractedIds, ...newIds])].filter((id) => captureStore.get(id));
+        await actionItemStore.save(content);
+      });
+    }
+
+    if (found > 0) {
+      console.log(`📝  Found ${found} action item(s)`);
+    }
+  } finally {
+    actionItemJob.running = false;
+  }
+}
+
+/**
+ * Asks the model for the action items of a conversation's new transcripts.
+ * @param {object} conversation
+ * @param {Set<string>} newIds – transcripts to take action items from
+ * @returns {Promise<object[]>} – items without id, status and timestamps
+ */
+async function findActionItems(conversation, newIds) {
+  const parts = [];
+  const sources = new Map();
+  let remainingChars = CONFIG.actionItems.maxInputChars;
+
+  // The newest transcripts matter most, so the budget is spent from the end
+  for (const id of [...conversation.transcriptIds].reverse()) {
+    const record = captureStore.get(id);
+    if (!record || remainingChars <= 0) continue;
+
+    const text = await readFile(captureStore.resolve(record.files.text), 'utf8').catch(() => '');
+    const content = redactForPrompt(text).substring(0, remainingChars);
+    if (!content.trim()) continue;
+
+    remainingChars -= content.length;
+    if (newIds.has(id)) sources.set(id, record);
+    const time = new Date(record.capturedAt).toLocaleString([], {
+      weekday: 'long', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    });
+    parts.unshift(`<transcript id="${id}" time="${time}" new="${newIds.has(id)}">\n${content}\n</transcript>`);
+  }
+  if (sources.size === 0) return [];
+
+  const prompt = `<conversation>
+${parts.join('\n')}
+</conversation>
+
+These transcripts were recorded by the microphone of someone wearing smart glasses. List the action items said in the transcripts marked new="true": commitments ("I'll send the deck Friday"), tasks someone was asked to do and things someone wants to be reminded of. Leave out vague intentions and things that are already done. Reply with only a JSON array (empty if there are none) of objects of this shape:
+{"text": "what is to be done, as a short imperative sentence", "owner": "who is to do it, as named in the conversation, \"speaker\" for an unnamed speaker's own commitment, or null if unclear", "due": "due date as YYYY-MM-DD, worked out from the transcript's date, or null", "dueText": "the due date as said, or null", "sourceId": "id of the transcript it was said in"}`;
+
+  const { text } = await actionsLLM.complete({
+    messages: [{ role: 'user', content: [{ type: 'text', text: prompt }] }]
+  });
+  return parseActionItems(text, sources);
+}
+
+function parseActionItems(text, sources) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text.match(/\[[\s\S]*\]/)?.[0] ?? '');
+  } catch {
+    // Asking again would most likely get the same reply; the transcripts count as looked at
+    console.warn(`⚠️  Action items: the model's reply is not a JSON array: ${text.substring(0, 200)}`);
+    return [];
+  }
+
+  const optionalString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+  return parsed
+    .filter((item) => typeof item?.text === 'string' && item.text.trim() && sources.has(item.sourceId))
+    .map((item) => ({
+      text: item.text.trim().substring(0, CONFIG.actionItems.maxTextLength),
+      owner: optionalString(item.owner),
+      due: isLocalDate(item.due) ? item.due : null,
+      dueText: optionalString(item.dueText),
+      sourceId: item.sourceId,
+      capturedAt: sources.get(item.sourceId).capturedAt
+    }));
+}
+
+function isLocalDate(value) {
+  return typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * Applies a PATCH /actions/{id} body to an action item.
+ * @returns {object} – the updated item
+ */
+async function updateActionItem(id, update) {
+  if (typeof update !== 'object' || update === null || Array.isArray(update)) {
+    throw httpError(400, 'Expected a JSON object');
+  }
+
+  const changes = {};
+  for (const [field, value] of Object.entries(update)) {
+    switch (field) {
+      case 'status':
+        if (!ACTION_ITEM_STATUSES.includes(value)) {
+          throw httpError(400, `"status" must be one of ${ACTION_ITEM_STATUSES.join(', ')}`);
+        }
+        break;
+      case 'text':
+        if (typeof value !== 'string' || !value.trim() || value.length > CONFIG.actionItems.maxTextLength) {
+          throw httpError(400, `"text" must be a non-empty string of at most ${CONFIG.actionItems.maxTextLength} characters`);
+        }
+        break;
+      case 'owner':
+      case 'note':
+        if (value !== null && typeof value !== 'string') throw httpError(400, `"${field}" must be a string or null`);
+        break;
+      case 'due':
+        if (value !== null && !isLocalDate(value)) throw httpError(400, '"due" must look like 2025-05-23 or be null');
+        break;
+      default:
+        throw httpError(400, `Unknown field "${field}"`);
+    }
+    changes[field] = typeof value === 'string' ? value.trim() || null : value;
+  }
+
+  return enqueueActionItemTask(async () => {
+    const content = await actionItemStore.load();
+    const index = content.items.findIndex((item) => item.id === id);
+    if (index === -1) throw httpError(404, 'Action item not found');
+
+    content.items[index] = { ...content.items[index], ...changes, updatedAt: new Date().toISOString() };
+    await actionItemStore.save(content);
+    return content.items[index];
+  });
+}
+
+/**
+ * Removes the action items of deleted transcripts.
+ * @param {string[]} ids – capture IDs
+ */
+function removeActionItemsFor(ids) {
+  const deleted = new Set(ids);
+  return enqueueActionItemTask(async () => {
+    const content = await actionItemStore.load();
+    const items = content.items.filter((item) => !deleted.has(item.sourceId));
+    const extractedIds = content.extractedIds.filter((id) => !deleted.has(id));
+    if (items.length === content.items.length && extractedIds.length === content.extractedIds.length) return;
+
+    await actionItemStore.save({ items, extractedIds });
+  });
+}
+
+function startActionItemJob() {
+  if (!CONFIG.actionItems.enabled) return;
+
+  const run = () => extractActionItems().catch((err) =>
+    console.error(`⚠️  Action item extraction failed: ${err.message}`)
+  );
+
+  run();
+  setInterval(run, CONFIG.actionItems.intervalMs).unref();
+}
+
+// ============================================================================
+// Retention & Deletion
+// ============================================================================
+
+/**
+ * Deletes captures: their files first, then their records. The store is
+ * compacted so no trace of them is left in captures.jsonl.
+ * @param {object[]} records
+ * @returns {Promise<string[]>} – IDs of the deleted captures
+ */
+async function deleteCaptures(records) {
+  if (records.length === 0) return [];
+
+  for (const record of records) {
+    const files = Object.values(record.files).map((file) => captureStore.resolve(file));
+    if (record.type === 'image') files.push(thumbnailPath(record.id));
+
+    for (const file of files) {
+      await unlink(file).catch((err) => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    }
+  }
+
+  const ids = records.map((record) => record.id);
+  await captureStore.remove(ids);
+  await captureStore.compact();
+  // Summaries and titles would still tell what the deleted captures contained
+  await removeDigestsFor(records);
+  await updateConversations();
+  await removeActionItemsFor(ids);
+  return ids;
+}
+
+/**
+ * Deletes captures that are older than the configured retention period.
+ */
+async function sweepExpiredCaptures() {
+  for (const [type, days] of Object.entries(CONFIG.retention.days)) {
+    if (!days) continue;
+
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const expired = captureStore.list({ type }).filter((record) => new Date(record.capturedAt) < cutoff);
+
+    const deleted = await deleteCaptures(expired);
+    if (deleted.length > 0) {
+      console.log(`🧹  Retention: deleted ${deleted.length} ${type}(s) older than ${days} day(s)`);
+    }
+  }
+}
+
+function startRetentionSweeper() {
+  const sweep = () => sweepExpiredCaptures().catch((err) =>
+    console.error(`⚠️  Retention sweep failed: ${err.message}`)
+  );
+
+  sweep();
+  setInterval(sweep, CONFIG.retention.sweepIntervalMs).unref();
+}
+
+/**
+ * Parses an ISO 8601 query parameter.
+ * @returns {Date | null} – null if the parameter is absent
+ */
+function parseTimeParam(searchParams, name) {
+  const value = searchParams.get(name);
+  if (value === null) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`"${name}" must be an ISO 8601 date/time`);
+  }
+  return date;
+}
+
+/**
+ * Parses a local day ("date", e.g. 2025-05-17) or an ISO 8601 "from"/"to"
+ * range from query parameters.
+ * @returns {{ from: Date | null, to: Date | null }} – inclusive bounds
+ */
+function parseRangeParams(searchParams) {
+  const date = searchParams.get('date');
+  if (date === null) {
+    return { from: parseTimeParam(searchParams, 'from'), to: parseTimeParam(searchParams, 'to') };
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error('"date" must look like 2025-05-17');
+  const { start, end } = digestBounds('day', date);
+  return { from: start, to: new Date(end - 1) };
+}
+
+// ============================================================================
+// Archives
+// ============================================================================
+//
+// Captures are exported to and imported from .tar.gz archives with a JSON
+// manifest (see ../shared/archive.js), to back them up, move them to another
+// machine or share a few moments. Imported captures keep their IDs, so an
+// archive imported twice (or into the machine it came from) adds nothing.
+
+// Capture files that go into an archive; vault files stay behind
+const ARCHIVE_FILES = ['text', 'image', 'analysis', 'segments'];
+
+/**
+ * Writes the captures as an archive.
+ * @param {import('node:stream').Writable} output
+ * @param {object[]} records – oldest first
+ * @param {{ from: Date | null, to: Date | null, type?: string }} range – for the manifest
+ * @returns {Promise<object>} – the manifest
+ */
+async function exportArchive(output, records, { from, to, type }) {
+  const captures = [];
+  const entries = [];
+
+  for (const record of records) {
+    const capture = {
+      id: record.id,
+      type: record.type,
+      capturedAt: record.capturedAt,
+      ...(record.seenUntil && { seenUntil: record.seenUntil }),
+      mediaType: record.mediaType,
+      ...(record.keywords && { keywords: record.keywords }),
+      files: {}
+    };
+    const captureEntries = [];
+
+    for (const role of ARCHIVE_FILES) {
+      if (!record.files[role]) continue;
+
+      const file = captureStore.resolve(record.files[role]);
+      let data;
+      try {
+        data = await readFile(file);
+      } catch (err) {
+        if (err.code === 'ENOENT') continue;
+        throw err;
+      }
+
+      const name = `captures/${record.id}/${role}${path.extname(file)}`;
+      capture.files[role] = { path: name, size: data.length, sha256: sha256(data) };
+      if (record.type === 'image' && role === 'text') capture.description = data.toString('utf8');
+      captureEntries.push({ name, file, mtime: new Date(record.capturedAt) });
+    }
+
+    // A capture whose main file is gone can't be imported anywhere
+    if (!capture.files[record.type === 'image' ? 'image' : 'text']) {
+      console.warn(`⚠️  Not exporting ${record.id}: its ${record.type} file is missing`);
+      continue;
+    }
+    captures.push(capture);
+    entries.push(...captureEntries);
+  }
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    createdAt: new Date().toISOString(),
+    range: { from: from?.toISOString() ?? null, to: to?.toISOString() ?? null, type: type ?? null },
+    captures
+  };
+
+  await writeArchive(output, (async function* () {
+    yield { name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest, null, 2)) };
+    // Read again rather than held in memory; checked against the manifest on import
+    for (const { name, file, mtime } of entries) {
+      yield { name, data: await readFile(file), mtime };
+    }
+  })());
+  return manifest;
+}
+
+/**
+ * Suggested file name for an archive of a range.
+ */
+function archiveFilename(searchParams) {
+  const part = (value) => value.replace(/[^\w-]/g, '');
+  const range = searchParams.get('date') ??
+    [searchParams.get('from'), searchParams.get('to')].map((value) => (value ? part(value) : 'all')).join('_');
+  const type = searchParams.get('type');
+  return `memories-${range}${type ? `-${part(type)}` : ''}.tar.gz`;
+}
+
+/**
+ * Imports an archive file: validates all of it first, then adds the captures
+ * that don't exist yet. If adding one fails, the ones added before it are
+ * deleted again. Images without a description are left for the
+ * description queue (see recoverDescriptionJobs()).
+ * @param {string} archivePath
+ * @returns {Promise<{ imported: object[], skipped: string[] }>} – the new
+ *   capture records and the IDs of captures that existed already
+ */
+async function importArchive(archivePath) {
+  const dir = path.join(CONFIG.paths.imports, randomUUID());
+  await ensureDir(dir);
+
+  try {
+    let files;
+    try {
+      files = await extractArchive(createReadStream(archivePath), dir, { maxBytes: CONFIG.archives.maxImportBytes });
+    } catch (err) {
+      if (err.code === 'ARCHIVE_TOO_LARGE') throw httpError(413, err.message);
+      throw httpError(400, `Invalid archive: ${err.message}`);
+    }
+
+    const manifest = await readArchiveManifest(files);
+    const source = { importedAt: new Date().toISOString(), archiveCreatedAt: manifest.createdAt ?? null };
+    const skipped = manifest.captures.filter(isImportedAlready).map((capture) => capture.id);
+    const imported = [];
+
+    try {
+      for (const capture of manifest.captures) {
+        if (!skipped.includes(capture.id)) imported.push(await importCapture(capture, files, source));
+      }
+    } catch (err) {
+      // All or nothing: take back the captures added before the failure
+      await deleteCaptures(imported);
+      throw err;
+    }
+
+    const transcripts = imported.filter((record) => record.type === 'transcript');
+    if (transcripts.length > 0) {
+      await updateConversations(new Date(Math.min(...transcripts.map((record) => Date.parse(record.capturedAt)))));
+    }
+    return { imported, skipped };
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Parses and validates an extracted archive's manifest, including the size,
+ * checksum and (for images) type of every file it lists.
+ * @param {Map<string, { file: string, size: number, sha256: string }>} files
+ */
+async function readArchiveManifest(files) {
+  const manifestFile = files.get('manifest.json');
+  if (!manifestFile) throw httpError(400, 'Invalid archive: manifest.json is missing');
+
+  let manifest;
+  try {
+    manifest = parseManifest(JSON.parse(await readFile(manifestFile.file, 'utf8')));
+  } catch (err) {
+    throw httpError(400, err.problems ? err.message : 'Invalid archive: manifest.json is not JSON');
+  }
+
+  const problems = [];
+  for (const capture of manifest.captures) {
+    for (const [role, listed] of Object.entries(capture.files)) {
+      const file = files.get(listed.path);
+      if (!file) {
+        problems.push(`${listed.path} is missing`);
+      } else if (file.size !== listed.size || file.sha256 !== listed.sha256) {
+        problems.push(`${listed.path} doesn't match its checksum`);
+      } else if (role === 'image') {
+        const data = await readFile(file.file);
+        if (sniffImageType(data.subarray(0, SIGNATURE_BYTES)) !== capture.mediaType) {
+          problems.push(`${listed.path} is not ${capture.mediaType} data`);
+        }
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw httpError(400, `Invalid archive: ${problems.slice(0, 10).join('; ')}${problems.length > 10 ? ` (and ${problems.length - 10} more)` : ''}`);
+  }
+  return manifest;
+}
+
+/**
+ * Whether a capture from an archive is here already: same ID, or a capture
+ * of the same type taken at the same moment (e.g. migrated legacy files).
+ */
+function isImportedAlready(capture) {
+  if (captureStore.get(capture.id)) return true;
+
+  const capturedAt = new Date(capture.capturedAt);
+  return captureStore.list({ type: capture.type, from: capturedAt, to: capturedAt }).length > 0;
+}
+
+/**
+ * Moves one capture's files from the extracted archive into place and adds
+ * its record. Texts go through this server's storage redaction like uploads.
+ * @returns {Promise<object>} – the capture record
+ */
+async function importCapture(capture, files, source) {
+  const { id } = capture;
+  const extracted = (role) => files.get(capture.files[role].path).file;
+  const text = capture.files.text ? await readFile(extracted('text'), 'utf8') : null;
+
+  if (capture.type === 'transcript') {
+    await ensureDir(CONFIG.paths.transcripts);
+    const txtPath = path.join(CONFIG.paths.transcripts, `${id}.txt`);
+    const redacted = await redactForStorage(id, text);
+    await writeFile(txtPath, redacted.text, 'utf8');
+
+    let segments = null;
+    if (capture.files.segments) {
+      try {
+        segments = parseSegments(JSON.parse(await readFile(extracted('segments'), 'utf8')).segments);
+      } catch (err) {
+        console.warn(`⚠️  Speaker segments of imported ${id} discarded: ${err.message}`);
+      }
+    }
+
+    return captureStore.put({
+      id,
+      capturedAt: capture.capturedAt,
+      type: 'transcript',
+      files: { ...redacted.files, text: storePath(txtPath), ...(segments && await storeSegments(id, segments)) },
+      mediaType: 'text/plain',
+      status: 'stored',
+      redactions: redacted.redactions,
+      ...(segments && { speakers: speakerLabels(segments) }),
+      source
+    });
+  }
+
+  await ensureDir(CONFIG.paths.images);
+  const imgPath = path.join(CONFIG.paths.images, `${id}.${extensionForMediaType(capture.mediaType)}`);
+  await rename(extracted('image'), imgPath);
+  let recordFiles = { image: storePath(imgPath) };
+  let redactions;
+
+  if (text !== null) {
+    const txtPath = path.join(CONFIG.paths.images, `${id}.txt`);
+    const redacted = await redactForStorage(id, text);
+    await writeFile(txtPath, redacted.text, 'utf8');
+    recordFiles = { ...recordFiles, ...redacted.files, text: storePath(txtPath) };
+    redactions = redacted.redactions;
+  }
+
+  if (capture.files.analysis) {
+    try {
+      const { version, analyzedAt, ...sidecar } = JSON.parse(await readFile(extracted('analysis'), 'utf8'));
+      if (version !== ANALYSIS_VERSION) throw new Error(`unsupported version ${version}`);
+      const analysis = parseAnalysis(sidecar);
+      recordFiles = { ...recordFiles, ...(await storeAnalysis(id, analysis)).files };
+    } catch (err) {
+      // The description queue analyzes the image again
+      console.warn(`⚠️  Analysis of imported ${id} discarded: ${err.message}`);
+    }
+  }
+
+  let phash = null;
+  try {
+    phash = differenceHash(decodeImage(await readFile(imgPath), capture.mediaType));
+  } catch {
+    // Not hashable (GIF, WebP); like an upload, it just can't be deduplicated
+  }
+
+  const record = {
+    id,
+    capturedAt: capture.capturedAt,
+    type: 'image',
+    files: recordFiles,
+    mediaType: capture.mediaType,
+    status: 'pending',
+    attempts: 0,
+    ...(capture.seenUntil && { seenUntil: capture.seenUntil }),
+    ...(capture.keywords && { keywords: redactKeywords(capture.keywords) }),
+    ...(redactions !== undefined && { redactions }),
+    phash,
+    source
+  };
+  return captureStore.put({ ...record, ...(isDescribed(record) && { status: 'described' }) });
+}
+
+/**
+ * Runs `node index.js export|import ...`.
+ * @param {string} command
+ * @param {string[]} args
+ */
+async function runArchiveCommand(command, args) {
+  if (command === 'export') {
+    const { values } = parseArgs({
+      args,
+      options: {
+        date: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        type: { type: 'string' },
+        out: { type: 'string' }
+      }
+    });
+    const { out, ...params } = values;
+    const searchParams = new URLSearchParams(params);
+    const range = parseRangeParams(searchParams);
+    const file = out ?? archiveFilename(searchParams);
+
+    const records = captureStore.list({ type: values.type, ...range });
+    if (records.length === 0) throw new Error('No captures in this range');
+
+    const manifest = await exportArchive(createWriteStream(file), records, { ...range, type: values.type });
+    console.log(`📦  Exported ${manifest.captures.length} capture(s) to ${file}`);
+    return;
+  }
+
+  if (command === 'import') {
+    const { positionals } = parseArgs({ args, allowPositionals: true });
+    if (positionals.length !== 1) throw new Error('Usage: node index.js import <file>');
+
+    const { imported, skipped } = await importArchive(positionals[0]);
+    console.log(`📥  Imported ${imported.length} capture(s), skipped ${skipped.length} that exist already`);
+    if (imported.some((record) => record.type === 'image' && !isDescribed(record))) {
+      console.log('🔁  Images without a description or analysis are processed when the server starts');
+    }
+    return;
+  }
+
+  throw new Error(`Unknown command "${command}" (use export or import)`);
+}
+
+// ============================================================================
+// Device Authentication
+// ============================================================================
+//
+// Devices pair once: the server prints a one-time code on its console, the
+// device (or whoever sets it up) sends it to POST /pair and receives an API
+// token. Only a SHA-256 hash of each token is kept in ./devices.json.
+
+const auth = {
+  devices: [],  // { id, name, tokenHash, createdAt, lastSeenAt, revokedAt }
+  pairing: null, // { code, expiresAt, failedAttempts }
+  pairingFailures: [] // { address, at } of wrong guesses, oldest first
+};
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+async function loadDevices() {
+  try {
+    auth.devices = JSON.parse(await readFile(CONFIG.paths.devices, 'utf8')).devices ?? [];
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+async function saveDevices() {
+  // Write to a temporary file first so a crash can't leave a truncated file
+  const tmpPath = `${CONFIG.paths.devices}.tmp`;
+  await writeFile(tmpPath, JSON.stringify({ devices: auth.devices }, null, 2), { mode: 0o600 });
+  await rename(tmpPath, CONFIG.paths.devices);
+}
+
+/**
+ * Replaces the pairing code and shows the new one on the console.
+ */
+function issuePairingCode() {
+  const code = String(randomInt(0, 1_000_000)).padStart(6, '0');
+  auth.pairing = { code, expiresAt: Date.now() + CONFIG.auth.pairingCodeTtlMs, failedAttempts: 0 };
+
+  const minutes = Math.round(CONFIG.auth.pairingCodeTtlMs / 60000);
+  console.log(`🔑  Pairing code: ${code} (valid ${minutes} min) – POST /pair {"code":"${code}","name":"<device name>"}`);
+}
+
+/**
+ * Returns the device a request's bearer token (or `queryToken`, where a
+ * route accepts one) belongs to, or null.
+ */
+function authenticate(req, queryToken = null) {
+  const token = req.headers.authorization?.match(/^Bearer\s+(\S+)$/i)?.[1] ?? queryToken;
+  if (!token) return null;
+
+  const tokenHash = hashToken(token);
+  const device = auth.devices.find((candidate) => candidate.tokenHash === tokenHash && !candidate.revokedAt);
+  if (!device) return null;
+
+  const now = Date.now();
+  if (!device.lastSeenAt || now - Date.parse(device.lastSeenAt) > CONFIG.auth.lastSeenWriteIntervalMs) {
+    device.lastSeenAt = new Date(now).toISOString();
+    saveDevices().catch((err) => console.error(`⚠️  Could not save devices: ${err.message}`));
+  }
+  return device;
+}
+
+/**
+ * Whether the request carries the ADMIN_TOKEN (constant-time comparison).
+ */
+function isAdmin(req) {
+  const match = req.headers.authorization?.match(/^Bearer\s+(\S+)$/i);
+  if (!CONFIG.auth.adminToken || !match) return false;
+
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(CONFIG.auth.adminToken);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * How long a client must wait before it may guess a pairing code again:
+ * 0 unless it, or all clients together, guessed wrong too often lately.
+ */
+function pairingRetryAfterMs(address) {
+  const { pairingWindowMs, maxPairingFailuresPerClient, maxPairingFailures } = CONFIG.auth;
+  const now = Date.now();
+  auth.pairingFailures = auth.pairingFailures.filter((failure) => now - failure.at < pairingWindowMs);
+
+  // Time until enough of the failures over a limit have left the window
+  const waitFor = (failures, max) =>
+    failures.length < max ? 0 : failures[failures.length - max].at + pairingWindowMs - now;
+
+  const fromClient = auth.pairingFailures.filter((failure) => failure.address === address);
+  return Math.max(waitFor(fromClient, maxPairingFailuresPerClient), waitFor(auth.pairingFailures, maxPairingFailures));
+}
+
+/**
+ * Handles the POST /pair endpoint request: { code, name } → { deviceId,
+ * name, token }. Too many wrong codes, from one client or all, get 429.
+ */
+async function handlePairRequest(req, res) {
+  // Without a limit, replacing the code after a few wrong guesses wouldn't
+  // stop anyone from trying codes until one matches
+  const address = req.socket.remoteAddress;
+  const retryAfterMs = pairingRetryAfterMs(address);
+  if (retryAfterMs > 0) {
+    res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    sendJSON(res, 429, { error: 'Too many wrong pairing codes; try again later.' });
+    return;
+  }
+
+  const body = await readJSONBody(req);
+
+  if (typeof body.code !== 'string' || typeof body.name !== 'string' || !body.name.trim()) {
+    sendJSON(res, 400, { error: 'Request must include "code" and "name" fields.' });
+    return;
+  }
+
+  const pairing = auth.pairing;
+  if (!pairing || Date.now() > pairing.expiresAt) {
+    issuePairingCode();
+    sendJSON(res, 403, { error: 'Pairing code expired; a new one is shown on the server console.' });
+    return;
+  }
+
+  if (body.code !== pairing.code) {
+    auth.pairingFailures.push({ address, at: Date.now() });
+    pairing.failedAttempts++;
+    if (pairing.failedAttempts >= CONFIG.auth.maxPairingAttempts) {
+      issuePairingCode();
+    }
+    sendJSON(res, 403, { error: 'Invalid pairing code' });
+    return;
+  }
+
+  const token = randomBytes(32).toString('base64url');
+  const device = {
+    id: randomUUID(),
+    name: body.name.trim(),
+    tokenHash: hashToken(token),
+    createdAt: new Date().toISOString(),
+    lastSeenAt: null,
+    revokedAt: null
+  };
+  auth.devices.push(device);
+  await saveDevices();
+
+  // The code is single-use
+  console.log(`📱  Paired device "${device.name}" (${device.id})`);
+  issuePairingCode();
+
+  sendJSON(res, 201, { deviceId: device.id, name: device.name, token });
+}
+
+/**
+ * Handles the GET /devices endpoint request
+ */
+function handleListDevicesRequest(res) {
+  sendJSON(res, 200, {
+    devices: auth.devices.map(({ tokenHash, ...device }) => device)
+  });
+}
+
+/**
+ * Handles the DELETE /devices/{id} endpoint request (token revocation)
+ */
+async function handleRevokeDeviceRequest(id, res) {
+  const device = auth.devices.find((candidate) => candidate.id === id);
+  if (!device) {
+    sendJSON(res, 404, { error: `No device with id ${id}` });
+    return;
+  }
+
+  if (!device.revokedAt) {
+    device.revokedAt = new Date().toISOString();
+    await saveDevices();
+    console.log(`🚫  Revoked device "${device.name}" (${device.id})`);
+  }
+
+  const { tokenHash, ...revoked } = device;
+  sendJSON(res, 200, revoked);
+}
+
+// ============================================================================
+// Event Stream
+// ============================================================================
+//
+// GET /events streams server-sent events to other tools (e.g. a live caption
+// feed). The most recent events stay in memory, so a client that reconnects
+// with the last ID it saw gets what it missed. IDs start from the server's
+// start time in microseconds, so they keep increasing across restarts.
+
+const EVENT_TYPES = ['transcript', 'image', 'keywords', 'description'];
+
+const firstEventId = Date.now() * 1000;
+
+const events = {
+  nextId: firstEventId,
+  // Events up to this ID can't be replayed (dropped, or before the start)
+  droppedUntil: firstEventId - 1,
+  // Recent events, oldest first
+  recent: [],
+  // Connected clients: { res, types: Set<string> }
+  clients: new Set()
+};
+
+/**
+ * Sends an event to the connected clients that want its type and keeps it
+ * for reconnecting ones.
+ */
+function publishEvent(type, data) {
+  const event = { id: events.nextId++, type, data };
+
+  events.recent.push(event);
+  if (events.recent.length > CONFIG.events.bufferSize) {
+    events.droppedUntil = events.recent.shift().id;
+  }
+
+  for (const client of events.clients) {
+    if (client.types.has(type)) writeEvent(client.res, event);
+  }
+}
+
+function writeEvent(res, { id, type, data }) {
+  res.write(`${id === undefined ? '' : `id: ${id}\n`}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Handles the GET /events[?types=transcript,image,keywords,description]
+ * endpoint request: server-sent events when a transcript was saved, an
+ * image stored, its keywords found or its description finished (or failed).
+ * Reconnecting clients get the events they missed (Last-Event-ID header or
+ * ?lastEventId=) while the server still has them, and a "resync" event
+ * otherwise. Accepts the device token as ?token= for clients like
+ * EventSource that can't set headers.
+ */
+function handleEventsRequest(req, res, searchParams) {
+  const types = searchParams.get('types')?.split(',').map((type) => type.trim()).filter(Boolean) ?? EVENT_TYPES;
+  const unknown = types.filter((type) => !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    sendJSON(res, 400, { error: `Unknown event type(s): ${unknown.join(', ')} (expected ${EVENT_TYPES.join(', ')})` });
+    return;
+  }
+
+  if (events.clients.size >= CONFIG.events.maxClients) {
+    sendJSON(res, 503, { error: 'Too many event stream clients' });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${CONFIG.events.retryMs}\n\n`);
+
+  const client = { res, types: new Set(types) };
+
+  const lastEventId = req.headers['last-event-id'] ?? searchParams.get('lastEventId');
+  if (lastEventId !== null && lastEventId !== undefined) {
+    const after = Number(lastEventId);
+    if (!Number.isSafeInteger(after) || after < events.droppedUntil) {
+      // Some missed events are gone; the client has to look at GET /media
+      writeEvent(res, { type: 'resync', data: { reason: 'Missed events are no longer available' } });
+    }
+    for (const event of events.recent) {
+      if (event.id > after && client.types.has(event.type)) writeEvent(res, event);
+    }
+  }
+
+  events.clients.add(client);
+  req.on('close', () => events.clients.delete(client));
+}
+
+function startEventHeartbeat() {
+  setInterval(() => {
+    for (const client of events.clients) {
+      client.res.write(': heartbeat\n\n');
+    }
+  }, CONFIG.events.heartbeatMs).unref();
+}
+
+/**
+ * Ends every event stream, so the server can close.
+ */
+function closeEventStreams() {
+  for (const client of events.clients) {
+    client.res.end();
+  }
+  events.clients.clear();
+}
+
+// ============================================================================
+// Idempotent Uploads
+// ============================================================================
+//
+// The glasses queue captures they couldn't deliver and send them again later,
+// with the time they were captured. A capture may reach the server more than
+// once (the response to the first attempt got lost), so uploads carry an
+// idempotency key; a key the device used before is answered with the capture
+// it produced instead of storing it again.
+
+const idempotency = {
+  // "<device ID> <key>" → capture ID; merged duplicate frames map to their
+  // kept frame (in memory only)
+  keys: new Map(),
+  // Keys whose upload is being stored right now
+  inFlight: new Set()
+};
+
+/**
+ * Reads an upload's optional capture time and idempotency key.
+ * @param {{ capturedAt?: string, idempotencyKey?: string }} fields
+ * @param {object} device – the uploading device
+ * @returns {{ capturedAt: Date, source: { deviceId: string, idempotencyKey?: string } }}
+ */
+function uploadOptions({ capturedAt, idempotencyKey }, device) {
+  const options = { capturedAt: new Date(), source: { deviceId: device.id } };
+
+  if (capturedAt !== undefined) {
+    const date = new Date(capturedAt);
+    if (typeof capturedAt !== 'string' || Number.isNaN(date.getTime())) {
+      throw httpError(400, '"capturedAt" must be an ISO 8601 date/time');
+    }
+    if (date - options.capturedAt > CONFIG.uploads.maxClockSkewMs) {
+      throw httpError(400, '"capturedAt" is in the future');
+    }
+    options.capturedAt = date;
+  }
+
+  if (idempotencyKey !== undefined) {
+    if (typeof idempotencyKey !== 'string' || !/^[\x21-\x7e]{1,200}$/.test(idempotencyKey)) {
+      throw httpError(400, '"idempotencyKey" must be 1-200 printable ASCII characters');
+    }
+    options.source.idempotencyKey = idempotencyKey;
+  }
+
+  return options;
+}
+
+/**
+ * Reads the capture time and idempotency key of a raw or multipart upload.
+ */
+function headerUploadOptions(req, device) {
+  return uploadOptions({
+    capturedAt: req.headers['x-captured-at'],
+    idempotencyKey: req.headers['idempotency-key']
+  }, device);
+}
+
+function idempotencyKeyOf(source) {
+  return `${source.deviceId} ${source.idempotencyKey}`;
+}
+
+/**
+ * Runs `store` unless the device already uploaded a capture with the same
+ * idempotency key.
+ * @param {{ deviceId: string, idempotencyKey?: string }} source
+ * @param {() => Promise<object>} store – stores the upload, resolves to its result
+ * @returns {Promise<object>} – the upload result
+ */
+async function storeOnce(source, store) {
+  if (!source.idempotencyKey) return store();
+
+  const key = idempotencyKeyOf(source);
+  const id = idempotency.keys.get(key);
+  if (id) {
+    return { id, status: 'exists', status_url: `/media/${id}` };
+  }
+  if (idempotency.inFlight.has(key)) {
+    throw httpError(409, `Upload "${source.idempotencyKey}" is still being stored`);
+  }
+
+  idempotency.inFlight.add(key);
+  try {
+    const result = await store();
+    idempotency.keys.set(key, result.id);
+    return result;
+  } finally {
+    idempotency.inFlight.delete(key);
+  }
+}
+
+/**
+ * Picks up the idempotency keys of stored captures after a restart.
+ */
+function recoverIdempotencyKeys() {
+  for (const record of captureStore.list()) {
+    if (record.source?.idempotencyKey) {
+      idempotency.keys.set(idempotencyKeyOf(record.source), record.id);
+    }
+  }
+}
+
+// ============================================================================
+// Request Handlers
+// ============================================================================
+
+/**
+ * Handles the /echo endpoint request
+ */
+async function handleEchoRequest(req, res) {
+  const body = await readJSONBody(req);
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ received: body }, null, 2));
+}
+
+/**
+ * Reads the optional "segments" field of a transcript upload.
+ * @param {*} value – parsed JSON, or JSON text from a multipart field
+ * @returns {object[] | null}
+ */
+function readSegmentsField(value) {
+  if (value === undefined || value === null) return null;
+
+  try {
+    return parseSegments(typeof value === 'string' ? JSON.parse(value) : value);
+  } catch (err) {
+    throw httpError(400, err.problems ? err.message : '"segments" is not valid JSON');
+  }
+}
+
+/**
+ * Writes a transcript's speaker segments sidecar, with the storage redaction
+ * stage applied to what was said.
+ * @returns {Promise<object>} – files to add to the record
+ */
+async function storeSegments(id, segments) {
+  const { value: texts, files } = await redactValuesForStorage(`${id}.segments`, segments.map((segment) => segment.text));
+
+  const jsonPath = path.join(CONFIG.paths.transcripts, `${id}.json`);
+  await writeFile(jsonPath, JSON.stringify({ segments: segments.map((segment, i) => ({ ...segment, text: texts[i] })) }, null, 2), 'utf8');
+  return { segments: storePath(jsonPath), ...(files.vault && { segmentsVault: files.vault }) };
+}
+
+/**
+ * Stores a transcript and re-segments conversations.
+ * @param {string} transcript
+ * @param {{ capturedAt: Date, source: object }} options – see uploadOptions()
+ * @param {object[] | null} segments – speaker segments, see readSegmentsField()
+ * @returns {Promise<object>} – the upload result
+ */
+function storeTranscript(transcript, { capturedAt, source }, segments = null) {
+  return storeOnce(source, async () => {
+    await ensureDir(CONFIG.paths.transcripts);
+    const id = createCaptureId(capturedAt);
+    const filepath = path.join(CONFIG.paths.transcripts, `${id}.txt`);
+    const { text, files, redactions } = await redactForStorage(id, transcript);
+    await writeFile(filepath, text, 'utf8');
+
+    await captureStore.put({
+      id,
+      capturedAt: capturedAt.toISOString(),
+      type: 'transcript',
+      files: { ...files, text: storePath(filepath), ...(segments && await storeSegments(id, segments)) },
+      mediaType: 'text/plain',
+      status: 'stored',
+      redactions,
+      ...(segments && { speakers: speakerLabels(segments) }),
+      source
+    });
+    publishEvent('transcript', { id, capturedAt: capturedAt.toISOString(), text });
+    await updateConversations(capturedAt);
+
+    return { id, status: 'stored', saved: path.relative('.', filepath) };
+  });
+}
+
+/**
+ * Stores an uploaded image (already written to tmpPath) and queues it for
+ * description; the result doesn't wait for the description.
+ * @returns {Promise<object>} – the upload result
+ */
+async function storeImage(upload) {
+  try {
+    return await storeOnce(upload.source, () => keepOrMergeFrame(upload));
+  } finally {
+    // Still there if the upload was a duplicate, a retry or failed
+    await unlink(upload.tmpPath).catch(() => {});
+  }
+}
+
+async function keepOrMergeFrame({ id, capturedAt, source, tmpPath, mediaType }) {
+  const frame = compareWithPreviousFrame(await readFile(tmpPath), mediaType, capturedAt);
+  if (frame.duplicate) {
+    const previous = await mergeDuplicateFrame(frame, capturedAt);
+    return {
+      id: previous.id,
+      status: 'duplicate',
+      distance: frame.distance,
+      seen_until: previous.seenUntil,
+      status_url: `/media/${previous.id}`
+    };
+  }
+
+  const imgPath = path.join(CONFIG.paths.images, `${id}.${extensionForMediaType(mediaType)}`);
+  await rename(tmpPath, imgPath);
+  const record = await captureStore.put({
+    id,
+    capturedAt: capturedAt.toISOString(),
+    type: 'image',
+    files: { image: storePath(imgPath) },
+    mediaType,
+    status: 'pending',
+    attempts: 0,
+    phash: frame.hash,
+    dedup: {
+      decision: 'kept',
+      comparedTo: frame.comparedTo,
+      distance: frame.distance,
+      ...(frame.error && { error: frame.error })
+    },
+    source
+  });
+  if (record.phash) {
+    rememberKeptFrame(record);
+  }
+  enqueueDescription(id);
+  publishEvent('image', { id, capturedAt: record.capturedAt, mediaType, status: 'pending' });
+
+  return {
+    id,
+    status: 'pending',
+    saved_image: path.relative('.', imgPath),
+    status_url: `/media/${id}`
+  };
+}
+
+/**
+ * Answers a single upload: 202 while an image waits for its description,
+ * 200 otherwise.
+ */
+function sendUploadResult(res, result) {
+  sendJSON(res, result.status === 'pending' ? 202 : 200, result);
+}
+
+/**
+ * Answers a single image upload right away, with the keywords of the earlier
+ * capture for a duplicate frame; a new image's keywords are null until the
+ * description job finds them.
+ */
+function sendImageUploadResult(res, result) {
+  sendUploadResult(res, { ...result, keywords: captureStore.get(result.id)?.keywords ?? null });
+}
+
+/**
+ * Prepares the capture ID and temporary file of a new image upload.
+ * @param {{ capturedAt: Date, source: object }} options – see uploadOptions()
+ */
+async function newImageUpload({ capturedAt, source }) {
+  await ensureDir(CONFIG.paths.images);
+  const id = createCaptureId(capturedAt);
+  return { id, capturedAt, source, tmpPath: path.join(CONFIG.paths.images, `${id}.upload`) };
+}
+
+/**
+ * Writes a base64 image to a new upload's temporary file.
+ */
+async function receiveBase64Image(base64, options) {
+  const imageData = Buffer.from(base64, 'base64');
+  if (imageData.length > CONFIG.uploads.maxImageBytes) {
+    throw httpError(413, `Image exceeds ${CONFIG.uploads.maxImageBytes} bytes`);
+  }
+
+  // The data decides the type; a "mediaType" field is no longer trusted
+  const mediaType = sniffImageType(imageData.subarray(0, SIGNATURE_BYTES));
+  if (!mediaType) {
+    throw httpError(415, 'The "image" field is not a base64 PNG, JPEG, GIF or WebP image');
+  }
+
+  const upload = await newImageUpload(options);
+  await writeFile(upload.tmpPath, imageData);
+  return { ...upload, mediaType };
+}
+
+/**
+ * Handles the /media endpoint request for transcript uploads
+ */
+async function handleTranscriptUpload(body, res, device) {
+  const options = uploadOptions(body, device);
+  sendUploadResult(res, await storeTranscript(body.transcript, options, readSegmentsField(body.segments)));
+}
+
+/**
+ * Handles the /media endpoint request for base64 image uploads in JSON.
+ */
+async function handleImageUpload(body, res, device) {
+  const upload = await receiveBase64Image(body.image, uploadOptions(body, device));
+  sendImageUploadResult(res, await storeImage(upload));
+}
+
+/**
+ * Handles the /media endpoint request for a raw image/* body.
+ */
+async function handleRawImageUpload(req, res, device) {
+  checkContentLength(req, CONFIG.uploads.maxImageBytes);
+
+  const upload = await newImageUpload(headerUploadOptions(req, device));
+  const { mediaType } = await receiveImage(req, upload.tmpPath);
+  sendImageUploadResult(res, await storeImage({ ...upload, mediaType }));
+}
+
+/**
+ * Handles the /media endpoint request for multipart/form-data uploads.
+ */
+async function handleMultipartUpload(req, res, device) {
+  checkContentLength(req, CONFIG.uploads.maxImageBytes + CONFIG.uploads.multipartOverheadBytes);
+
+  const options = headerUploadOptions(req, device);
+  const upload = await newImageUpload(options);
+  const { transcript, segments, image } = await receiveMultipart(req, upload.tmpPath);
+
+  if (image) {
+    sendImageUploadResult(res, await storeImage({ ...upload, mediaType: image.mediaType }));
+    return;
+  }
+
+  if (typeof transcript === 'string') {
+    sendUploadResult(res, await storeTranscript(transcript, options, readSegmentsField(segments)));
+    return;
+  }
+
+  sendJSON(res, 400, { error: 'Request must include a "transcript" field or an "image" file.' });
+}
+
+/**
+ * Handles the GET /media/{id} endpoint request (capture status, including
+ * an image's keywords once they are found)
+ */
+function handleMediaStatusRequest(id, res) {
+  const record = captureStore.get(id);
+  if (!record) {
+    sendJSON(res, 404, { error: `No capture with id ${id}` });
+    return;
+  }
+
+  sendJSON(res, 200, {
+    id: record.id,
+    type: record.type,
+    capturedAt: record.capturedAt,
+    seenUntil: record.seenUntil ?? null,
+    duplicates: record.duplicates ?? 0,
+    status: record.status,
+    attempts: record.attempts ?? 0,
+    nextAttemptAt: record.nextAttemptAt ?? null,
+    error: record.error ?? null,
+    analysisError: record.analysisError ?? null,
+    keywords: record.keywords ?? null,
+    speakers: record.speakers ?? null,
+    files: record.files
+  });
+}
+
+/**
+ * Handles the POST /media endpoint request. Takes a transcript (plain text)
+ * or an image, as JSON ({ transcript } or base64 { image }),
+ * multipart/form-data (a "transcript" field or an "image" file) or a raw
+ * image/* body, with an optional capture time and idempotency key (the
+ * "capturedAt" and "idempotencyKey" JSON fields, or X-Captured-At and
+ * Idempotency-Key headers).
+ *
+ * Images are streamed to disk, must be real PNG, JPEG, GIF or WebP data
+ * (415 otherwise; the type is taken from the data) and are size-limited
+ * (413). They are answered with 202 right away; the description job then
+ * adds their analysis, keywords and description. Frames nearly identical to
+ * the previous one aren't stored; they extend that capture's time span
+ * instead (200, "duplicate", with that capture's keywords).
+ *
+ * Transcripts may come with speaker segments: a "segments" field,
+ * [{ speaker, start, end, text }] (see ../shared/speakers.js; JSON text in
+ * multipart), kept as a JSON sidecar.
+ */
+async function handleMediaRequest(req, res, device) {
+  const contentType = (req.headers['content-type'] ?? '').toLowerCase();
+
+  if (contentType.startsWith('multipart/form-data')) {
+    await handleMultipartUpload(req, res, device);
+    return;
+  }
+
+  if (contentType.startsWith('image/')) {
+    await handleRawImageUpload(req, res, device);
+    return;
+  }
+
+  const body = await readJSONBody(req);
+
+  // Expect either { transcript: "..." } OR { image: "base64Data" }
+  if (typeof body.transcript === 'string') {
+    await handleTranscriptUpload(body, res, device);
+    return;
+  }
+
+  if (typeof body.image === 'string') {
+    await handleImageUpload(body, res, device);
+    return;
+  }
+
+  // If neither transcript nor image provided
+  sendJSON(res, 400, { error: 'Request must include a "transcript" or "image" field.' });
+}
+
+/**
+ * Stores one item of a batch upload.
+ * @returns {Promise<object>} – the upload result
+ */
+async function storeBatchItem(item, device) {
+  if (typeof item?.idempotencyKey !== 'string' || typeof item.capturedAt !== 'string') {
+    throw httpError(400, 'Every item needs an "idempotencyKey" and a "capturedAt" time');
+  }
+  const options = uploadOptions(item, device);
+
+  if (typeof item.transcript === 'string') {
+    if (Buffer.byteLength(item.transcript) > CONFIG.uploads.maxTranscriptBytes) {
+      throw httpError(413, `Transcript exceeds ${CONFIG.uploads.maxTranscriptBytes} bytes`);
+    }
+    return storeTranscript(item.transcript, options, readSegmentsField(item.segments));
+  }
+
+  if (typeof item.image === 'string') {
+    return storeImage(await receiveBase64Image(item.image, options));
+  }
+
+  throw httpError(400, 'Every item needs a "transcript" or an "image" field');
+}
+
+/**
+ * Handles the POST /media/batch endpoint request: { items: [{ idempotencyKey,
+ * capturedAt, transcript | image }] }, e.g. captures the glasses queued while
+ * the server was unreachable. Items are stored in order, each with its own
+ * result, so one bad item doesn't fail the others. A key the device used
+ * before is answered with its capture ("exists"), so retried batches store
+ * nothing twice. Answers 200 with one result per item.
+ */
+async function handleBatchUpload(req, res, device) {
+  const body = await readJSONBody(req, CONFIG.uploads.maxBatchBytes);
+
+  if (!Array.isArray(body.items) || body.items.length === 0) {
+    sendJSON(res, 400, { error: 'Request must include a non-empty "items" array.' });
+    return;
+  }
+
+  if (body.items.length > CONFIG.uploads.maxBatchItems) {
+    sendJSON(res, 413, { error: `A batch holds at most ${CONFIG.uploads.maxBatchItems} items` });
+    return;
+  }
+
+  const results = [];
+  for (const item of body.items) {
+    const idempotencyKey = item?.idempotencyKey ?? null;
+    try {
+      results.push({ idempotencyKey, ...(await storeBatchItem(item, device)) });
+    } catch (err) {
+      // "failed" items may be retried; "rejected" ones would fail again
+      const retryable = !err.status || err.status >= 500 || err.status === 409;
+      if (!err.status) {
+        console.error(`⚠️  Batch item ${idempotencyKey} failed: ${err.message}`);
+      }
+      results.push({ idempotencyKey, status: retryable ? 'failed' : 'rejected', error: err.message });
+    }
+  }
+
+  sendJSON(res, 200, { results });
+}
+
+/**
+ * Reads a capture's transcript or image description.
+ * @returns {Promise<string | null>} – null if it has none (yet)
+ */
+async function readCaptureText(record) {
+  if (!record.files.text) return null;
+
+  try {
+    return await readFile(captureStore.resolve(record.files.text), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Handles the GET /media endpoint request (capture listing for the
+ * timeline), optionally only captures whose text or keywords contain q
+ */
+async function handleListMediaRequest(searchParams, res) {
+  let from, to;
+  try {
+    ({ from, to } = parseRangeParams(searchParams));
+  } catch (err) {
+    sendJSON(res, 400, { error: err.message });
+    return;
+  }
+
+  const type = searchParams.get('type') ?? undefined;
+  const query = searchParams.get('q')?.trim().toLowerCase();
+  const newestFirst = searchParams.get('order') === 'desc';
+  const limit = Math.min(
+    Math.max(1, Number(searchParams.get('limit')) || CONFIG.timeline.defaultLimit),
+    CONFIG.timeline.maxLimit
+  );
+
+  const records = captureStore.list({ type, from, to });
+  if (newestFirst) records.reverse();
+
+  const captures = [];
+  let truncated = false;
+  for (const record of records) {
+    const text = await readCaptureText(record);
+    const keywords = record.keywords ?? [];
+    if (query && !text?.toLowerCase().includes(query) && !keywords.some((keyword) => keyword.includes(query))) continue;
+
+    if (captures.length === limit) {
+      truncated = true;
+      break;
+    }
+    captures.push({
+      id: record.id,
+      type: record.type,
+      capturedAt: record.capturedAt,
+      seenUntil: record.seenUntil ?? null,
+      status: record.status,
+      excerpt: text?.substring(0, CONFIG.timeline.excerptChars) ?? null,
+      excerptTruncated: (text?.length ?? 0) > CONFIG.timeline.excerptChars,
+      keywords
+    });
+  }
+
+  sendJSON(res, 200, { captures, truncated });
+}
+
+/**
+ * Handles the GET /media/days endpoint request
+ */
+function handleMediaDaysRequest(res) {
+  const days = new Map();
+  for (const record of captureStore.list()) {
+    // Local days, like the digests
+    const date = digestKey('day', new Date(record.capturedAt));
+    const day = days.get(date) ?? { date, transcripts: 0, images: 0 };
+    day[`${record.type}s`]++;
+    days.set(date, day);
+  }
+
+  sendJSON(res, 200, { days: [...days.values()].reverse() });
+}
+
+/**
+ * Handles the GET /media/{id}/text, /image, /thumbnail, /analysis and
+ * /segments endpoint requests: a capture's transcript or description, its
+ * image, a small JPEG of it (cached in ./thumbnails), its analysis sidecar
+ * or its speaker segments
+ */
+async function handleMediaFileRequest(id, kind, res) {
+  const record = captureStore.get(id);
+  if (!record) {
+    sendJSON(res, 404, { error: `No capture with id ${id}` });
+    return;
+  }
+
+  if (kind === 'analysis') {
+    if (!record.files.analysis) {
+      sendJSON(res, 404, { error: record.analysisError ?? `Capture ${id} has no analysis yet` });
+      return;
+    }
+    await sendFile(res, captureStore.resolve(record.files.analysis), { 'Content-Type': 'application/json' });
+    return;
+  }
+
+  if (kind === 'segments') {
+    if (!record.files.segments) {
+      sendJSON(res, 404, { error: `Capture ${id} has no speaker segments` });
+      return;
+    }
+    await sendFile(res, captureStore.resolve(record.files.segments), { 'Content-Type': 'application/json' });
+    return;
+  }
+
+  if (kind === 'text') {
+    const text = await readCaptureText(record);
+    if (text === null) {
+      sendJSON(res, 404, { error: `Capture ${id} has no text yet` });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(text);
+    return;
+  }
+
+  if (!record.files.image) {
+    sendJSON(res, 404, { error: `Capture ${id} is not an image` });
+    return;
+  }
+
+  // A capture's image never changes
+  const cacheControl = 'private, max-age=86400';
+  const thumbnail = kind === 'thumbnail' ? await getThumbnail(record) : null;
+  if (thumbnail) {
+    await sendFile(res, thumbnail, { 'Content-Type': 'image/jpeg', 'Cache-Control': cacheControl });
+    return;
+  }
+  await sendFile(res, captureStore.resolve(record.files.image), {
+    'Content-Type': record.mediaType,
+    'Cache-Control': cacheControl
+  });
+}
+
+// Files of the timeline UI; they hold no data, so they're served without a token
+const UI_FILES = {
+  '/': { file: 'index.html', contentType: 'text/html; charset=utf-8' },
+  '/app.js': { file: 'app.js', contentType: 'text/javascript; charset=utf-8' },
+  '/app.css': { file: 'app.css', contentType: 'text/css; charset=utf-8' }
+};
+
+/**
+ * Handles the GET /, /app.js and /app.css endpoint requests (the timeline
+ * UI; it pairs itself with a pairing code and then uses the API routes)
+ */
+async function handleUIRequest({ file, contentType }, res) {
+  await sendFile(res, path.join(CONFIG.paths.ui, file), {
+    'Content-Type': contentType,
+    // Transcripts are shown in the page; never let them run scripts
+    'Content-Security-Policy': "default-src 'self'; img-src 'self' blob:",
+    'X-Content-Type-Options': 'nosniff'
+  });
+}
+
+/**
+ * Handles the DELETE /media/{id} endpoint request (files and record)
+ */
+async function handleDeleteMediaRequest(id, res) {
+  const record = captureStore.get(id);
+  if (!record) {
+    sendJSON(res, 404, { error: `No capture with id ${id}` });
+    return;
+  }
+
+  const deleted = await deleteCaptures([record]);
+  sendJSON(res, 200, { deleted });
+}
+
+/**
+ * Handles the DELETE /media?from=&to=[&type=] endpoint request (all captures
+ * in a time range, ISO 8601)
+ */
+async function handleDeleteRangeRequest(searchParams, res) {
+  let from, to;
+  try {
+    from = parseTimeParam(searchParams, 'from');
+    to = parseTimeParam(searchParams, 'to');
+  } catch (err) {
+    sendJSON(res, 400, { error: err.message });
+    return;
+  }
+
+  // Refuse to wipe everything by accident
+  if (!from && !to) {
+    sendJSON(res, 400, { error: 'Provide "from" and/or "to" to delete a time range.' });
+    return;
+  }
+
+  const type = searchParams.get('type') ?? undefined;
+  const deleted = await deleteCaptures(captureStore.list({ type, from, to }));
+  sendJSON(res, 200, { deleted });
+}
+
+/**
+ * Handles the GET /media/export endpoint request: the captures of a local
+ * day or time range as one .tar.gz archive (see ../shared/archive.js)
+ */
+async function handleExportRequest(searchParams, res) {
+  let range;
+  try {
+    range = parseRangeParams(searchParams);
+  } catch (err) {
+    sendJSON(res, 400, { error: err.message });
+    return;
+  }
+
+  const type = searchParams.get('type') ?? undefined;
+  const records = captureStore.list({ type, ...range });
+  if (records.length === 0) {
+    sendJSON(res, 404, { error: 'No captures in this range' });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'application/gzip',
+    'Content-Disposition': `attachment; filename="${archiveFilename(searchParams)}"`
+  });
+  await exportArchive(res, records, { ...range, type });
+}
+
+/**
+ * Handles the POST /media/import endpoint request: validates the archive,
+ * skips captures that exist already and queues images without a
+ * description. The body is saved to a file first, so a broken archive can
+ * still be answered with an error.
+ */
+async function handleImportRequest(req, res) {
+  const maxBytes = CONFIG.archives.maxImportBytes;
+  checkContentLength(req, maxBytes);
+
+  await ensureDir(CONFIG.paths.imports);
+  const archivePath = path.join(CONFIG.paths.imports, `${randomUUID()}.tar.gz`);
+  try {
+    let size = 0;
+    await pipeline(req, async function* (source) {
+      for await (const chunk of source) {
+        size += chunk.length;
+        if (size > maxBytes) throw httpError(413, `Request body exceeds ${maxBytes} bytes`);
+        yield chunk;
+      }
+    }, createWriteStream(archivePath));
+
+    const { imported, skipped } = await importArchive(archivePath);
+    for (const record of imported) {
+      if (record.type === 'image' && !isDescribed(record)) enqueueDescription(record.id);
+    }
+    console.log(`📥  Imported ${imported.length} capture(s), skipped ${skipped.length}`);
+
+    sendJSON(res, 200, { imported: imported.map((record) => record.id), skipped });
+  } finally {
+    await unlink(archivePath).catch(() => {});
+  }
+}
+
+/**
+ * Handles the GET /actions endpoint request: action items (commitments,
+ * tasks, reminders) found in transcripts said in a local day or time range
+ * (see ../shared/actions.js)
+ */
+async function handleListActionItemsRequest(searchParams, res) {
+  let from, to;
+  try {
+    ({ from, to } = parseRangeParams(searchParams));
+  } catch (err) {
+    sendJSON(res, 400, { error: err.message });
+    return;
+  }
+
+  const status = searchParams.get('status') ?? undefined;
+  if (status && !ACTION_ITEM_STATUSES.includes(status)) {
+    sendJSON(res, 400, { error: `"status" must be one of ${ACTION_ITEM_STATUSES.join(', ')}` });
+    return;
+  }
+
+  sendJSON(res, 200, { items: await actionItemStore.list({ from, to, status }) });
+}
+
+/**
+ * Handles the PATCH /conversations/{id}/speakers endpoint request: names the
+ * speaker labels of a conversation's transcripts, e.g. { "speaker 2": "Alex" }
+ * (null removes a name)
+ */
+async function handleNameSpeakersRequest(req, id, res) {
+  const names = await readJSONBody(req, CONFIG.conversations.maxSpeakerNamesBytes);
+  const conversation = await nameSpeakers(id, names);
+  console.log(`🗣️  Speakers of ${id} named`);
+  sendJSON(res, 200, conversation);
+}
+
+/**
+ * Handles the PATCH /actions/{id} endpoint request: { status, owner, due,
+ * text, note } (any of them)
+ */
+async function handleUpdateActionItemRequest(req, id, res) {
+  const update = await readJSONBody(req, CONFIG.actionItems.maxUpdateBytes);
+  const item = await updateActionItem(id, update);
+  console.log(`📝  Action item ${id} updated (${Object.keys(update).join(', ') || 'no changes'})`);
+  sendJSON(res, 200, item);
+}
+
+// ============================================================================
+// Server Setup
+// ============================================================================
+
+const server = createServer(async (req, res) => {
+  const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`);
+
+  // ---- simple timing / logging ----
+  const start = process.hrtime.bigint();
+  console.log(`→ ${req.method} ${pathname}`);
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    console.log(`← ${req.method} ${pathname} ${res.statusCode} ${durationMs.toFixed(1)}ms`);
+  });
+
+  try {
+    await routeRequest(req, res, pathname, searchParams);
+  } catch (err) {
+    if (!err.status) {
+      console.error(`⚠️  ${req.method} ${pathname} failed: ${err.stack}`);
+    }
+    if (!res.headersSent) {
+      // Don't wait for the rest of a body that's too large
+      if (err.status === 413) res.setHeader('Connection', 'close');
+      sendJSON(res, err.status ?? 500, { error: err.message });
+    }
+  }
+});
+
+/**
+ * Dispatches a request to its handler.
+ */
+async function routeRequest(req, res, pathname, searchParams) {
+  // -------- Pairing & device administration -------------------------------
+  if (req.method === 'POST' && pathname === '/pair') {
+    await handlePairRequest(req, res);
+    return;
+  }
+
+  const deviceMatch = pathname.match(/^\/devices(?:\/([^/]+))?$/);
+  if (deviceMatch) {
+    if (!isAdmin(req)) {
+      sendJSON(res, CONFIG.auth.adminToken ? 401 : 403, {
+        error: CONFIG.auth.adminToken ? 'Admin token required' : 'Device administration is disabled (set ADMIN_TOKEN)'
+      });
+      return;
+    }
+
+    if (req.method === 'GET' && !deviceMatch[1]) {
+      handleListDevicesRequest(res);
+      return;
+    }
+
+    if (req.method === 'DELETE' && deviceMatch[1]) {
+      await handleRevokeDeviceRequest(decodeURIComponent(deviceMatch[1]), res);
+      return;
+    }
+  }
+
+  if (req.method === 'GET' && UI_FILES[pathname]) {
+    await handleUIRequest(UI_FILES[pathname], res);
+    return;
+  }
+
+  // -------- Everything else requires a device token -----------------------
+  // EventSource can't send headers, so /events also takes ?token=
+  const queryToken = pathname === '/events' ? searchParams.get('token') : null;
+  const device = deviceMatch ? null : authenticate(req, queryToken);
+  if (!deviceMatch && !device) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    sendJSON(res, 401, { error: 'Missing or invalid device token' });
+    return;
+  }
+
+  // -------- Route handling ------------------------------------------------
+  if (req.method === 'POST' && pathname === '/echo') {
+    await handleEchoRequest(req, res);
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/media') {
+    await handleMediaRequest(req, res, device);
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/media/batch') {
+    await handleBatchUpload(req, res, device);
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/events') {
+    handleEventsRequest(req, res, searchParams);
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/media') {
+    await handleListMediaRequest(searchParams, res);
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/media/days') {
+    handleMediaDaysRequest(res);
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/media/export') {
+    await handleExportRequest(searchParams, res);
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/media/import') {
+    await handleImportRequest(req, res);
+    return;
+  }
+
+  const mediaFileMatch = pathname.match(/^\/media\/([^/]+)\/(text|image|thumbnail|analysis|segments)$/);
+  if (req.method === 'GET' && mediaFileMatch) {
+    await handleMediaFileRequest(decodeURIComponent(mediaFileMatch[1]), mediaFileMatch[2], res);
+    return;
+  }
+
+  if (req.method === 'DELETE' && pathname === '/media') {
+    await handleDeleteRangeRequest(searchParams, res);
+    return;
+  }
+
+  const mediaMatch = pathname.match(/^\/media\/([^/]+)$/);
+  if (req.method === 'GET' && mediaMatch) {
+    handleMediaStatusRequest(decodeURIComponent(mediaMatch[1]), res);
+    return;
+  }
+
+  if (req.method === 'DELETE' && mediaMatch) {
+    await handleDeleteMediaRequest(decodeURIComponent(mediaMatch[1]), res);
+    return;
+  }
+
+  const speakersMatch = pathname.match(/^\/conversations\/([^/]+)\/speakers$/);
+  if (req.method === 'PATCH' && speakersMatch) {
+    await handleNameSpeakersRequest(req, decodeURIComponent(speakersMatch[1]), res);
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/actions') {
+    await handleListActionItemsRequest(searchParams, res);
+    return;
+  }
+
+  const actionMatch = pathname.match(/^\/actions\/([^/]+)$/);
+  if (req.method === 'PATCH' && actionMatch) {
+    await handleUpdateActionItemRequest(req, decodeURIComponent(actionMatch[1]), res);
+    return;
+  }
+
+  // -------- 404 for all other routes ---------------------------------------
+  sendJSON(res, 404, { error: 'Not found' });
+}
+
+// ============================================================================
+// Server Startup
+// ============================================================================
+
+if (redactor.isEnabled('storage') && redactor.config.vault.enabled && !CONFIG.redaction.vaultKey) {
+  throw new Error('The redaction vault is enabled but REDACTION_VAULT_KEY is not set');
+}
+
+await captureStore.load();
+
+// `node index.js export|import ...` runs one command instead of the server
+const [command, ...commandArgs] = process.argv.slice(2);
+if (command) {
+  try {
+    await runArchiveCommand(command, commandArgs);
+  } catch (err) {
+    console.error(`❌  ${err.message}`);
+    process.exitCode = 1;
+  }
+  process.exit();
+}
+
+await migrateLegacyFiles();
+await recoverDescriptionJobs();
+recoverLastFrame();
+recoverIdempotencyKeys();
+await loadDevices();
+startRetentionSweeper();
+startDigestJob();
+startConversationJob();
+startActionItemJob();
+startEventHeartbeat();
+
+server.listen(CONFIG.server.port, () => {
+  console.log(`🚀  Listening on http://localhost:${CONFIG.server.port}/echo and /media (timeline UI at /)`);
+  issuePairingCode();
+
+  // Keep a valid code on the console
+  setInterval(() => {
+    if (Date.now() > auth.pairing.expiresAt) issuePairingCode();
+  }, 30 * 1000).unref();
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
+  closeEventStreams();
   server.close(() => {
     console.log('\n👋  Server stopped');
     process.exit(0);
@@ -0,0 +1,352 @@
+// app.js – Timeline UI of the web-server
+// ---------------------------------------------------------------
+// Lists the days with captures, shows a day's transcripts and image
+// thumbnails in order, searches all captures by text and opens a capture
+// in a detail view that can delete it.
+//
+// The page pairs itself like the glasses do (POST /pair with the code from
+// the server console) and keeps the device token in localStorage. Images are
+// fetched with the token and shown through blob: URLs.
+// ---------------------------------------------------------------
+
+const TOKEN_KEY = 'memories.deviceToken';
+
+const state = {
+  // Local day shown ("2025-05-17"), or null while showing search results
+  day: null,
+  query: '',
+  // blob: URLs of the images on screen, released when the view changes
+  imageUrls: []
+};
+
+const $ = (id) => document.getElementById(id);
+
+// ============================================================================
+// API
+// ============================================================================
+
+class UnauthorizedError extends Error {}
+
+/**
+ * Fetches a route with the device token.
+ * @returns {Promise<Response>}
+ */
+async function api(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${localStorage.getItem(TOKEN_KEY)}` }
+  });
+
+  if (response.status === 401) {
+    localStorage.removeItem(TOKEN_KEY);
+    showLogin();
+    throw new UnauthorizedError('The device token was rejected');
+  }
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error ?? `${response.status} ${response.statusText}`);
+  }
+  return response;
+}
+
+async function apiJSON(url, options) {
+  return (await api(url, options)).json();
+}
+
+/**
+ * Loads an image route into a blob: URL that lives as long as the view.
+ */
+async function imageUrl(url) {
+  const blobUrl = URL.createObjectURL(await (await api(url)).blob());
+  state.imageUrls.push(blobUrl);
+  return blobUrl;
+}
+
+function releaseImages() {
+  state.imageUrls.forEach((url) => URL.revokeObjectURL(url));
+  state.imageUrls = [];
+}
+
+// ============================================================================
+// Pairing
+// ============================================================================
+
+function showLogin() {
+  $('app').hidden = true;
+  $('login').hidden = false;
+  $('login-code').focus();
+}
+
+async function pair(event) {
+  event.preventDefault();
+  $('login-error').textContent = '';
+
+  const response = await fetch('/pair', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code: $('login-code').value.trim(), name: `Browser (${navigator.platform || 'web'})` })
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    $('login-error').textContent = body.error ?? `Pairing failed (${response.status})`;
+    return;
+  }
+
+  localStorage.setItem(TOKEN_KEY, body.token);
+  $('login-code').value = '';
+  start();
+}
+
+// ============================================================================
+// Timeline
+// ============================================================================
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function formatDateTime(iso) {
+  return new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function formatDay(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString([], {
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+  });
+}
+
+async function loadDays() {
+  const { days } = await apiJSON('/media/days');
+  const nav = $('days');
+  nav.replaceChildren();
+
+  for (const day of days) {
+    const link = document.createElement('a');
+    link.href = `#${day.date}`;
+    link.dataset.date = day.date;
+    link.classList.toggle('selected', day.date === state.day);
+
+    const title = document.createElement('strong');
+    title.textContent = day.date;
+    const counts = document.createElement('span');
+    counts.textContent = `${day.transcripts} transcript(s), ${day.images} image(s)`;
+
+    link.append(title, counts);
+    nav.append(link);
+  }
+
+  return days;
+}
+
+async function showDay(date) {
+  state.day = date;
+  state.query = '';
+  $('search').value = '';
+  document.querySelectorAll('#days a').forEach((link) => link.classList.toggle('selected', link.dataset.date === date));
+
+  const { captures, truncated } = await apiJSON(`/media?date=${encodeURIComponent(date)}`);
+  renderTimeline(formatDay(date), captures, {
+    withDate: false,
+    note: truncated ? 'Only the first captures of this day are shown.' : ''
+  });
+}
+
+async function showSearch(query) {
+  state.day = null;
+  state.query = query;
+  document.querySelectorAll('#days a.selected').forEach((link) => link.classList.remove('selected'));
+
+  const { captures, truncated } = await apiJSON(`/media?q=${encodeURIComponent(query)}&order=desc`);
+  renderTimeline(`Results for “${query}”`, captures, {
+    withDate: true,
+    note: captures.length === 0
+      ? 'Nothing found.'
+      : truncated ? 'Only the most recent matches are shown.' : ''
+  });
+}
+
+function renderTimeline(title, captures, { withDate, note }) {
+  releaseImages();
+  thumbnailObserver.disconnect();
+
+  $('timeline-title').textContent = title;
+  $('timeline-note').textContent = note;
+  $('timeline').replaceChildren(...captures.map((capture) => renderEntry(capture, withDate)));
+}
+
+function renderEntry(capture, withDate) {
+  const item = document.createElement('li');
+  item.className = capture.type;
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.addEventListener('click', () => openDetail(capture.id));
+
+  const time = document.createElement('time');
+  time.dateTime = capture.capturedAt;
+  time.textContent = withDate ? formatDateTime(capture.capturedAt) : formatTime(capture.capturedAt);
+  if (capture.seenUntil) {
+    time.textContent += ` – ${formatTime(capture.seenUntil)}`;
+  }
+  button.append(time);
+
+  if (capture.type === 'image') {
+    const image = document.createElement('img');
+    image.alt = 'Loading…';
+    image.dataset.src = `/media/${encodeURIComponent(capture.id)}/thumbnail`;
+    thumbnailObserver.observe(image);
+    button.append(image);
+  }
+
+  const text = document.createElement('p');
+  if (capture.excerpt !== null) {
+    text.textContent = capture.excerptTruncated ? `${capture.excerpt}…` : capture.excerpt;
+  } else {
+    text.className = 'pending';
+    text.textContent = capture.status === 'failed' ? 'Description failed' : 'Not described yet';
+  }
+  button.append(text);
+
+  item.append(button);
+  return item;
+}
+
+// Thumbnails load once they scroll into view
+const thumbnailObserver = new IntersectionObserver((entries) => {
+  for (const entry of entries) {
+    if (!entry.isIntersecting) continue;
+
+    const image = entry.target;
+    thumbnailObserver.unobserve(image);
+    imageUrl(image.dataset.src)
+      .then((url) => {
+        image.src = url;
+        image.alt = '';
+      })
+      .catch((err) => {
+        image.alt = `Thumbnail unavailable: ${err.message}`;
+      });
+  }
+}, { rootMargin: '200px' });
+
+// ============================================================================
+// Detail view
+// ============================================================================
+
+async function openDetail(id) {
+  const capture = await apiJSON(`/media/${encodeURIComponent(id)}`);
+  const text = capture.files.text
+    ? await (await api(`/media/${encodeURIComponent(id)}/text`)).text()
+    : null;
+
+  $('detail-title').textContent = capture.type === 'image' ? 'Image' : 'Transcript';
+
+  const meta = [
+    ['Captured', formatDateTime(capture.capturedAt)],
+    ...(capture.seenUntil ? [['Seen until', formatDateTime(capture.seenUntil)]] : []),
+    ...(capture.duplicates ? [['Similar frames merged', String(capture.duplicates)]] : []),
+    ...(capture.keywords?.length ? [['Keywords', capture.keywords.join(', ')]] : []),
+    ...(capture.speakers?.length ? [['Speakers', capture.speakers.join(', ')]] : []),
+    ['Status', capture.error ? `${capture.status} (${capture.error})` : capture.status],
+    ['ID', capture.id]
+  ];
+  $('detail-meta').replaceChildren(...meta.flatMap(([term, value]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = term;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    return [dt, dd];
+  }));
+
+  const image = $('detail-image');
+  image.hidden = capture.type !== 'image';
+  image.removeAttribute('src');
+  if (capture.type === 'image') {
+    image.src = await imageUrl(`/media/${encodeURIComponent(id)}/image`);
+  }
+
+  $('detail-text').textContent = text ?? (capture.type === 'image' ? 'Not described yet.' : '');
+  $('detail-delete').onclick = () => deleteCapture(capture);
+  $('detail').showModal();
+}
+
+async function deleteCapture(capture) {
+  const what = capture.type === 'image' ? 'this image and its description' : 'this transcript';
+  if (!confirm(`Delete ${what}? This can't be undone.`)) return;
+
+  await api(`/media/${encodeURIComponent(capture.id)}`, { method: 'DELETE' });
+  $('detail').close();
+  await refresh();
+}
+
+// ============================================================================
+// Startup
+// ============================================================================
+
+/**
+ * Reloads the days and the current view.
+ */
+async function refresh() {
+  const days = await loadDays();
+
+  if (state.query) {
+    await showSearch(state.query);
+  } else if (state.day && days.some((day) => day.date === state.day)) {
+    await showDay(state.day);
+  } else if (days.length > 0) {
+    await showDay(days[0].date);
+  } else {
+    renderTimeline('No captures yet', [], { withDate: false, note: 'Captures from the glasses show up here.' });
+  }
+}
+
+async function start() {
+  if (!localStorage.getItem(TOKEN_KEY)) {
+    showLogin();
+    return;
+  }
+
+  $('login').hidden = true;
+  $('app').hidden = false;
+  state.day = location.hash.slice(1) || null;
+  await refresh();
+}
+
+// Errors of event handlers end up here; a rejected token already shows the login
+window.addEventListener('unhandledrejection', (event) => {
+  if (event.reason instanceof UnauthorizedError) return;
+  $('timeline-note').textContent = `Error: ${event.reason?.message ?? event.reason}`;
+});
+
+$('login-form').addEventListener('submit', pair);
+
+$('search-form').addEventListener('submit', (event) => {
+  event.preventDefault();
+  const query = $('search').value.trim();
+  if (query) {
+    showSearch(query);
+  } else {
+    refresh();
+  }
+});
+
+$('days').addEventListener('click', (event) => {
+  const link = event.target.closest('a[data-date]');
+  if (!link) return;
+  event.preventDefault();
+  history.replaceState(null, '', `#${link.dataset.date}`);
+  showDay(link.dataset.date);
+});
+
+$('logout').addEventListener('click', () => {
+  localStorage.removeItem(TOKEN_KEY);
+  releaseImages();
+  showLogin();
+});
+
+// The detail image is released with the rest of the view
+$('detail').addEventListener('close', () => $('detail-image').removeAttribute('src'));
+
+start();